@@ -0,0 +1,171 @@
+/*
+ * configfactory.js - Cypress Config Factory
+ * ==========================================
+ *
+ * Builds a complete Cypress configuration for any profile in envconfig.js.
+ * Every config file (cypress.config.js and the --config-file variants)
+ * goes through this factory, so they all get the same tasks, reporter
+ * settings and env block and can never drift apart again.
+ *
+ * Usage:
+ *   // cypress.config.js - profile chosen by CYPRESS_ENV
+ *   module.exports = createConfig()
+ *
+ *   // cypress.config.prod.js - profile fixed by the file
+ *   module.exports = createConfig('production')
+ *
+ *   // Extra settings for one variant
+ *   module.exports = createConfig('qa', { e2e: { viewportWidth: 1366 } })
+ *
+ * A setupNodeEvents in the overrides runs after the factory's own tasks
+ * and reports instead of replacing them. It gets the same `on`, so its
+ * 'after:run' and other listeners are added next to the built-in ones.
+ */
+const { defineConfig } = require('cypress')
+
+const { currentEnv, getEnvConfig } = require('./envconfig')
+const fileTasks = require('./cypress/plugins/fileTasks')
+const { SOURCES, resolveEnv, printProvenanceTable } = require('./cypress/plugins/envResolver')
+const { createEventHub } = require('./cypress/plugins/eventHub')
+const { registerFeatureFlagReport } = require('./cypress/plugins/featureFlagReport')
+const { startStandins, standinTasks } = require('./cypress/plugins/standins')
+const { registerNetworkRecorder } = require('./cypress/plugins/networkRecorder')
+const { registerHarExport } = require('./cypress/plugins/harExport')
+const { registerCurlExport } = require('./cypress/plugins/curlExport')
+const { registerContracts } = require('./cypress/plugins/contracts')
+const { registerLatencyReport } = require('./cypress/plugins/latencyReport')
+const { registerRetryReport } = require('./cypress/plugins/retryReport')
+const { registerLeakedResourcesReport } = require('./cypress/plugins/leakedResources')
+const { registerApiSnapshots } = require('./cypress/plugins/apiSnapshots')
+
+// Cypress.env() URLs that older specs and commands use, taken from the site registry
+function apiUrlsFromSites(envConfig, sites) {
+  return {
+    apiUrl: sites[envConfig.apiSite],
+    apiBaseUrl: sites[envConfig.apiSite],
+    authApiUrl: sites[envConfig.authSite]
+  }
+}
+
+function createConfig(envName = currentEnv, overrides = {}) {
+  const envConfig = getEnvConfig(envName)
+  const { e2e: e2eOverrides = {}, env: envOverrides = {}, ...rootOverrides } = overrides
+  const { setupNodeEvents: variantNodeEvents, ...e2eSettings } = e2eOverrides
+
+  // ============================================================================
+  // ENVIRONMENT VARIABLES (profile defaults from envconfig.js)
+  // ============================================================================
+  // Higher layers (.env.<profile>, cypress.env.json, CYPRESS_*, --env) are
+  // merged on top in setupNodeEvents - see cypress/plugins/envResolver.js
+  const profileEnv = {
+    environment: envConfig.name,
+    ...apiUrlsFromSites(envConfig, envConfig.sites),
+    mockEnabled: envConfig.mockEnabled,
+    debugMode: envConfig.debugMode,
+    featureFlags: envConfig.featureFlags,
+    policy: envConfig.policy,
+    networkGuard: envConfig.networkGuard,
+    chaos: envConfig.chaos,
+    contracts: envConfig.contracts,
+    latency: envConfig.latency,
+    apiRetry: envConfig.apiRetry,
+    sites: envConfig.sites,
+    standins: envConfig.standins,
+    // Switches turned on per run (--env harExport=true or CYPRESS_harExport=true);
+    // declared here so CYPRESS_* and .env values are read as booleans
+    harExport: false,
+    curlExport: false,
+    updateSnapshots: false,
+    ...envConfig.env,
+    ...envOverrides
+  }
+
+  return defineConfig({
+    projectId: '18jbta',
+    e2e: {
+      baseUrl: envConfig.baseUrl,
+      viewportWidth: 1280,
+      viewportHeight: 800,
+      defaultCommandTimeout: envConfig.timeout,
+      retries: { runMode: envConfig.retries, openMode: 0 },
+      async setupNodeEvents(cypressOn, config) {
+        // Lets several plugins listen to the same event (e.g. 'after:run')
+        const on = createEventHub(cypressOn)
+
+        // ==========================================================================
+        // DAY 3: FILE SYSTEM TASKS
+        // ==========================================================================
+        on('task', fileTasks)
+
+        // ==========================================================================
+        // LAYERED ENVIRONMENT VARIABLES
+        // ==========================================================================
+        const { env, sources } = resolveEnv(config, profileEnv, envConfig.name)
+        printProvenanceTable(env, sources, envConfig.name)
+        config.env = { ...env, envSources: sources }
+
+        // ==========================================================================
+        // OFFLINE STAND-INS (local servers replacing external sites)
+        // ==========================================================================
+        const standinUrls = await startStandins(config.env.standins)
+        config.env.sites = { ...config.env.sites, ...standinUrls }
+
+        // apiBaseUrl & co. follow the registry (stand-ins included) unless a
+        // higher layer such as --env apiBaseUrl=... set them
+        Object.entries(apiUrlsFromSites(envConfig, config.env.sites)).forEach(([key, url]) => {
+          if (config.env.envSources[key] === SOURCES.profile) {
+            config.env[key] = url
+          }
+        })
+        on('task', standinTasks)
+
+        // ==========================================================================
+        // NETWORK RECORD / REPLAY (networkMode, defaults from mockEnabled)
+        // ==========================================================================
+        registerNetworkRecorder(on, config)
+
+        // ==========================================================================
+        // REPORTS
+        // ==========================================================================
+        registerFeatureFlagReport(on, config)
+        registerHarExport(on, config)
+        registerCurlExport(on, config)
+        registerContracts(on, config)
+        registerLatencyReport(on, config)
+        registerRetryReport(on, config)
+        registerLeakedResourcesReport(on, config)
+        registerApiSnapshots(on, config)
+
+        // ==========================================================================
+        // VARIANT EVENTS (setupNodeEvents passed to createConfig)
+        // ==========================================================================
+        if (variantNodeEvents) {
+          return (await variantNodeEvents(on, config)) || config
+        }
+
+        return config
+      },
+      ...e2eSettings
+    },
+
+    env: profileEnv,
+
+    video: true,
+    screenshotsFolder: 'cypress/screenshots',
+    videosFolder: 'cypress/videos',
+    downloadsFolder: 'cypress/downloads',
+    reporter: 'mochawesome',
+    reporterOptions: {
+      reportDir: 'cypress/reports/mochawesome',
+      overwrite: false,
+      html: true,
+      json: true,
+      timestamp: 'mmddyyyy_HHMMss'
+    },
+    ...rootOverrides
+  })
+}
+
+module.exports = {
+  createConfig
+}
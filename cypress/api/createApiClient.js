@@ -0,0 +1,117 @@
+/*
+ * createApiClient.js - Build an API client object from a resource definition
+ * ===========================================================================
+ *
+ * Design Pattern: API Client (the API-side twin of the Page Object Model)
+ *
+ * Benefits:
+ * 1. Specs call UsersApi.get(1) instead of building URLs
+ * 2. Every call goes through cy.apiRequest, so logging, headers, the
+ *    site registry (stand-ins included) and contract checks apply uniformly
+ * 3. A new resource is one definition, not a new file of boilerplate
+ *
+ * Definition:
+ *   {
+ *     name: 'UsersApi',                 // used in log messages
+ *     service: 'jsonPlaceholder',       // site name from envconfig.js
+ *     path: '/users',                   // collection path on that site
+ *     operations: ['list', 'get'],      // default: all CRUD operations below
+ *     nested: ['posts', 'todos'],       // adds listPosts(id), listTodos(id)
+ *     actions: {                        // extra calls, e.g. login(body)
+ *       login: { method: 'POST', path: '/login' }
+ *     },
+ *     headers: {}                       // sent with every call
+ *   }
+ *
+ * Generated methods (each yields the cy.apiRequest response):
+ *   list(query)         GET    /users?query
+ *   get(id)             GET    /users/:id
+ *   create(body)        POST   /users      (the new item is deleted after the test)
+ *   update(id, body)    PUT    /users/:id
+ *   patch(id, body)     PATCH  /users/:id
+ *   remove(id)          DELETE /users/:id
+ *
+ * Every method takes an optional last argument with extra apiRequest
+ * options, e.g. UsersApi.get(1, { headers: { 'X-Trace': 'abc' } })
+ *
+ * create() registers what it made with the cleanup registry, like
+ * cy.apiCreate (see cypress/support/resourceCleanup.js). To keep it for
+ * the rest of the spec, track it again with { scope: 'spec' }.
+ */
+import { siteUrl } from '../support/sites'
+
+const CRUD_OPERATIONS = ['list', 'get', 'create', 'update', 'patch', 'remove']
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+export function createApiClient(definition) {
+  const {
+    name,
+    service,
+    path,
+    operations = CRUD_OPERATIONS,
+    nested = [],
+    actions = {},
+    headers = {}
+  } = definition
+
+  if (!name || !service || path === undefined) {
+    throw new Error('API client definitions need a name, service and path (got ' + JSON.stringify(definition) + ')')
+  }
+
+  const unknown = operations.filter((operation) => !CRUD_OPERATIONS.includes(operation))
+  if (unknown.length > 0) {
+    throw new Error(name + ': unknown operation(s) ' + unknown.join(', ') + '. Valid: ' + CRUD_OPERATIONS.join(', '))
+  }
+
+  // One place where every client call turns into cy.apiRequest
+  const send = (method, requestPath, extra = {}, options = {}) => {
+    cy.log(`🧩 ${name}: ${method} ${requestPath}`)
+    return cy.apiRequest({
+      service,
+      method,
+      path: requestPath,
+      ...extra,
+      ...options,
+      headers: { ...headers, ...extra.headers, ...options.headers }
+    })
+  }
+
+  const itemPath = (id) => path + '/' + encodeURIComponent(id)
+
+  const crud = {
+    list: (query = {}, options) => send('GET', path, { qs: query }, options),
+    get: (id, options) => send('GET', itemPath(id), {}, options),
+    create: (body, options) => send('POST', path, { body }, options).then((response) => {
+      if (response.status >= 300 || !response.body || response.body.id === undefined) {
+        return response
+      }
+      cy.trackResource(path.split('/').pop(), response.body.id, siteUrl(service, itemPath(response.body.id)))
+      return cy.wrap(response, { log: false })
+    }),
+    update: (id, body, options) => send('PUT', itemPath(id), { body }, options),
+    patch: (id, body, options) => send('PATCH', itemPath(id), { body }, options),
+    remove: (id, options) => send('DELETE', itemPath(id), {}, options)
+  }
+
+  const client = { name, service, path }
+
+  operations.forEach((operation) => {
+    client[operation] = crud[operation]
+  })
+
+  // e.g. nested: ['comments'] -> listComments(postId, query)
+  nested.forEach((child) => {
+    client['list' + capitalize(child)] = (id, query = {}, options) =>
+      send('GET', itemPath(id) + '/' + child, { qs: query }, options)
+  })
+
+  Object.entries(actions).forEach(([actionName, action]) => {
+    client[actionName] = (body, options) =>
+      send(action.method || 'POST', path + (action.path || ''), body !== undefined ? { body } : {}, options)
+  })
+
+  return Object.freeze(client)
+}
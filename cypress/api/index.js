@@ -0,0 +1,65 @@
+/*
+ * api/index.js - API clients for the services the specs use
+ * ==========================================================
+ *
+ * Each client is generated from a resource definition by
+ * createApiClient.js. Base URLs come from the site registry, so the
+ * same spec runs against the public sites or the offline stand-ins.
+ *
+ * Usage in tests:
+ *   import { UsersApi, PostsApi } from '../../api'
+ *
+ *   UsersApi.list().its('status').should('eq', 200)
+ *   PostsApi.create({ title: 'Hi', body: '...', userId: 1 })
+ *   PostsApi.listComments(1)
+ *   ReqresApi.login({ email, password })
+ */
+import { createApiClient } from './createApiClient'
+
+// JSONPlaceholder resources
+export const UsersApi = createApiClient({
+  name: 'UsersApi',
+  service: 'jsonPlaceholder',
+  path: '/users',
+  nested: ['posts', 'todos']
+})
+
+export const PostsApi = createApiClient({
+  name: 'PostsApi',
+  service: 'jsonPlaceholder',
+  path: '/posts',
+  nested: ['comments']
+})
+
+export const CommentsApi = createApiClient({
+  name: 'CommentsApi',
+  service: 'jsonPlaceholder',
+  path: '/comments'
+})
+
+export const TodosApi = createApiClient({
+  name: 'TodosApi',
+  service: 'jsonPlaceholder',
+  path: '/todos'
+})
+
+// reqres.in - authentication and its user directory
+export const ReqresApi = createApiClient({
+  name: 'ReqresApi',
+  service: 'reqres',
+  path: '',
+  operations: [],
+  actions: {
+    login: { method: 'POST', path: '/login' },
+    register: { method: 'POST', path: '/register' }
+  }
+})
+
+export const ReqresUsersApi = createApiClient({
+  name: 'ReqresUsersApi',
+  service: 'reqres',
+  path: '/users',
+  operations: ['list', 'get']
+})
+
+export { createApiClient }
@@ -70,7 +70,7 @@ describe('Login Module - Cypress Actions Training', () => {
      * - Options: timeout, failOnStatusCode, etc.
      * - Using full URL here as login site is different from baseUrl
      */
-    cy.visit(loginData.baseUrl + loginData.loginPage.url)
+    cy.visitSite(loginData.site, loginData.loginPage.url)
 
     /**
      * cy.url() - Gets the current URL
@@ -427,7 +427,7 @@ describe('Login Module - Cypress Actions Training', () => {
      * - cy.go('forward') or cy.go(1) - Go forward
      */
     // Navigate to home page first (using full URL)
-    cy.visit(loginData.baseUrl)
+    cy.visitSite(loginData.site)
     // Go back to login page
     cy.go('back')
     cy.url().should('include', loginData.loginPage.url)
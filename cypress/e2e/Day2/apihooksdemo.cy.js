@@ -1,42 +1,43 @@
 /// <reference types="cypress" />
 
+import { siteUrl, isStandin } from '../../support/sites'
+import { UsersApi } from '../../api'
+
 describe('API Hooks Demo (JSONPlaceholder)', () => {
   let createdUserId
 
   // One-time setup: (optionally) log something or fetch reference data
   before(() => {
     cy.log('before(): suite-level setup for API tests')
+    // Offline stand-in: start from the seed data (no-op against the real site)
+    cy.task('resetApiState')
   })
 
   // Reset/prepare before each test (idempotent endpoint idea)
   beforeEach(() => {
-    cy.log('beforeEach(): nothing heavy here; API is stateless for demo')
+    cy.log('beforeEach(): nothing heavy here; state is shared across the suite')
   })
 
   afterEach(() => {
     cy.log('afterEach(): per-test cleanup (if needed)')
   })
 
-  // One-time teardown: delete anything created in suite
+  // One-time teardown: created users are deleted by the cleanup registry
+  // (UsersApi.create tracks them, see cypress/support/resourceCleanup.js)
   after(() => {
-    cy.log('after(): clean up users if created')
-    if (createdUserId) {
-      // JSONPlaceholder fakes writes, so this is for demonstration
-      cy.request('DELETE', `https://jsonplaceholder.typicode.com/users/${createdUserId}`)
-        .its('status').should('eq', 200)
-    }
+    cy.log('after(): tracked resources are cleaned up automatically')
   })
 
   it('lists users', () => {
-    cy.request('GET', 'https://jsonplaceholder.typicode.com/users') // list users
+    UsersApi.list() // GET /users on the jsonPlaceholder site
       .then((response) => {
         expect(response.status).to.eq(200)
         expect(response.body).to.be.an('array').and.have.length.greaterThan(0)
       })
   })
 
-  it('creates a user and captures its id', () => {
-    cy.request('POST', 'https://jsonplaceholder.typicode.com/users', {
+  it('creates a user and captures its id @destructive', () => {
+    UsersApi.create({
       name: 'Training User',
       username: 'trainuser',
       email: 'train@example.com'
@@ -44,13 +45,26 @@ describe('API Hooks Demo (JSONPlaceholder)', () => {
       expect(status).to.eq(201)
       expect(body).to.have.property('id')
       createdUserId = body.id
+
+      // create() tracked it for this test; keep it until the spec ends,
+      // the next test reads it back
+      cy.trackResource('user', body.id, siteUrl('jsonPlaceholder', `/users/${body.id}`), { scope: 'spec' })
     })
   })
 
-  it('updates a user (PUT)', () => {
+  it('reads back the created user @destructive', function () {
+    // The public JSONPlaceholder doesn't persist writes, so only the stand-in can
+    if (!isStandin('jsonPlaceholder')) {
+      this.skip()
+    }
+    UsersApi.get(createdUserId)
+      .its('body').should('include', { id: createdUserId, username: 'trainuser' })
+  })
+
+  it('updates a user (PUT) @destructive', () => {
     // JSONPlaceholder only has users 1-10, so always use an existing id
     const id = 2
-    cy.request('PUT', `https://jsonplaceholder.typicode.com/users/${id}`, {
+    UsersApi.update(id, {
       name: 'Training User Updated',
       username: 'trainuserupdated',
       email: 'trainupdated@example.com'
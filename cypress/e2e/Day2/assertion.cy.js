@@ -32,6 +32,8 @@
  * ============================================================================
  */
 
+import { siteUrl } from '../../support/sites'
+
 describe('Cypress Assertions - Training Examples', () => {
 
   // Variable to store fixture data
@@ -850,7 +852,7 @@ describe('Cypress Assertions - Training Examples', () => {
       /**
        * Working with API response data
        */
-      cy.request('GET', 'https://jsonplaceholder.typicode.com/users/1')
+      cy.request('GET', siteUrl('jsonPlaceholder', '/users/1'))
         .then((response) => {
           expect(response.status).to.equal(200)
           expect(response.body).to.have.property('id', 1)
@@ -1146,7 +1148,7 @@ describe('Cypress Assertions - Training Examples', () => {
        */
 
       // Good use of explicit assertion - API response data
-      cy.request('GET', 'https://jsonplaceholder.typicode.com/posts/1')
+      cy.request('GET', siteUrl('jsonPlaceholder', '/posts/1'))
         .then((response) => {
           // Multiple validations on same response
           expect(response.status).to.equal(200)
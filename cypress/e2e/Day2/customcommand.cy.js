@@ -21,6 +21,8 @@
  * ============================================================================
  */
 
+import { siteUrl } from '../../support/sites'
+
 describe('Custom Commands in Cypress - Training Examples', () => {
 
   // Load fixture data for reference
@@ -247,7 +249,7 @@ describe('Custom Commands in Cypress - Training Examples', () => {
        * API endpoints defined in fixture:
        * If endpoint changes: Update fixture ONCE
        */
-      cy.apiGetAndValidate(testData.apiEndpoints.posts, 200)
+      cy.apiGetAndValidate(siteUrl('jsonPlaceholder', testData.apiEndpoints.posts), 200)
 
       cy.log('✅ BENEFIT: API URLs centralized, easy to update')
     })
@@ -509,6 +511,34 @@ describe('Custom Commands in Cypress - Training Examples', () => {
 
       cy.log('✅ Dual commands work both ways')
     })
+
+    it('TC18b: COMMAND CATALOG - Namespaces and cy.listCommands()', () => {
+      cy.logTestInfo('TC18b', 'Listing registered commands')
+
+      /**
+       * commandRegistry.js checks every Cypress.Commands.add:
+       * - A name registered twice stops the run at load time
+       * - { namespace: 'api' } makes cy.api.login() next to cy.apiLogin()
+       * - cy.listCommands() yields the catalog
+       */
+
+      cy.listCommands('api').then((commands) => {
+        const apiLogin = commands.find((command) => command.name === 'apiLogin')
+
+        expect(apiLogin.alias).to.eq('cy.api.login')
+        expect(apiLogin.type).to.eq('parent')
+        expect(apiLogin.signature).to.contain('email')
+        expect(apiLogin.description).to.eq('Authenticate and Store Token')
+      })
+
+      cy.listCommands().then((commands) => {
+        const names = commands.map((command) => command.name)
+        expect(names).to.include.members(['login', 'shouldBeVisibleAndContain', 'takeScreenshotWithLabel'])
+        expect(new Set(names).size, 'no duplicates').to.eq(names.length)
+      })
+
+      expect(cy.api.login).to.be.a('function')
+    })
   })
 
   // ============================================================================
@@ -527,7 +557,7 @@ describe('Custom Commands in Cypress - Training Examples', () => {
        * - Returns response for further assertions
        */
 
-      cy.apiGetAndValidate(testData.apiEndpoints.posts, 200)
+      cy.apiGetAndValidate(siteUrl('jsonPlaceholder', testData.apiEndpoints.posts), 200)
         .then((response) => {
           expect(response.body).to.be.an('array')
           expect(response.body.length).to.be.greaterThan(0)
@@ -536,7 +566,7 @@ describe('Custom Commands in Cypress - Training Examples', () => {
       cy.log('✅ API GET validated with custom command')
     })
 
-    it('TC20: Using cy.apiPostAndValidate()', () => {
+    it('TC20: Using cy.apiPostAndValidate() @destructive', () => {
       cy.logTestInfo('TC20', 'API POST with custom command')
 
       /**
@@ -552,7 +582,7 @@ describe('Custom Commands in Cypress - Training Examples', () => {
         userId: 1
       }
 
-      cy.apiPostAndValidate(testData.apiEndpoints.posts, newPost, 201)
+      cy.apiPostAndValidate(siteUrl('jsonPlaceholder', testData.apiEndpoints.posts), newPost, 201)
         .then((response) => {
           expect(response.body).to.have.property('id')
           expect(response.body.title).to.equal(newPost.title)
@@ -1,15 +1,19 @@
 /// <reference types="cypress" />
 
+import { siteUrl, isStandin } from '../../support/sites'
+import { PostsApi } from '../../api'
+
 describe('API Hooks Demo (JSONPlaceholder)', () => {
   let newPostId
 
   before(() => {
-    cy.log('before(): suite setup - nothing heavy')
+    cy.log('before(): suite setup - reset the offline stand-in if it is running')
+    cy.task('resetApiState')
   })
 
   beforeEach(() => {
     cy.log('beforeEach(): ensure API is reachable')
-    cy.request('GET', 'https://jsonplaceholder.typicode.com/posts/1')
+    PostsApi.get(1)
       .its('status').should('eq', 200)
   })
 
@@ -18,16 +22,16 @@ describe('API Hooks Demo (JSONPlaceholder)', () => {
   })
 
   after(() => {
-    cy.log('after(): reminder - JSONPlaceholder fakes writes only')
+    cy.log('after(): the created post is deleted by the cleanup registry')
   })
 
   it('reads a single resource', () => {
-    cy.request('GET', 'https://jsonplaceholder.typicode.com/posts/1')
+    PostsApi.get(1)
       .its('body').should('have.property', 'id', 1)
   })
 
-  it('creates a post (faked server write)', () => {
-    cy.request('POST', 'https://jsonplaceholder.typicode.com/posts', {
+  it('creates a post (faked server write) @destructive', () => {
+    PostsApi.create({
       title: 'My Post',
       body: 'Hello from training',
       userId: 1
@@ -35,13 +39,26 @@ describe('API Hooks Demo (JSONPlaceholder)', () => {
       expect(status).to.eq(201)
       expect(body).to.have.property('id')
       newPostId = body.id
+
+      // create() tracks the post for cleanup; keep it until the spec ends,
+      // the next test reads it back
+      cy.trackResource('posts', body.id, siteUrl('jsonPlaceholder', `/posts/${body.id}`), { scope: 'spec' })
     })
   })
 
-  it('updates a post (PUT, faked)', () => {
+  it('reads back the created post @destructive', function () {
+    // Only the offline stand-in persists writes
+    if (!isStandin('jsonPlaceholder')) {
+      this.skip()
+    }
+    PostsApi.get(newPostId)
+      .its('body').should('include', { id: newPostId, title: 'My Post' })
+  })
+
+  it('updates a post (PUT, faked) @destructive', () => {
     // JSONPlaceholder only has posts 1-100, so always use an existing id
     const id = 1
-    cy.request('PUT', `https://jsonplaceholder.typicode.com/posts/${id}`, {
+    PostsApi.update(id, {
       id,
       title: 'Updated',
       body: 'Updated body',
@@ -50,7 +67,7 @@ describe('API Hooks Demo (JSONPlaceholder)', () => {
   })
 
   it('lists nested resources (comments for post 1)', () => {
-    cy.request('GET', 'https://jsonplaceholder.typicode.com/posts/1/comments')
+    PostsApi.listComments(1)
       .then((response) => {
         expect(response.status).to.eq(200)
         expect(response.body).to.be.an('array').and.have.length.greaterThan(0)
@@ -19,6 +19,8 @@
  */
 
 
+import { siteUrl, isStandin } from '../../support/sites'
+
 describe('API Testing Using Cypress', () => {
 
 
@@ -44,7 +46,7 @@ describe('API Testing Using Cypress', () => {
       // Make a GET request to fetch a post
       cy.request({
         method: 'GET',
-        url: 'https://jsonplaceholder.typicode.com/posts/1'
+        url: siteUrl('jsonPlaceholder', '/posts/1')
       }).then((response) => {
         // Log response details for learning
         cy.log('Response Status: ' + response.status)
@@ -74,7 +76,7 @@ describe('API Testing Using Cypress', () => {
        * - headers: Response headers
        * - duration: Request time in milliseconds
        */
-      cy.request('https://jsonplaceholder.typicode.com/users/1').then((response) => {
+      cy.request(siteUrl('jsonPlaceholder', '/users/1')).then((response) => {
         // Status code
         cy.log('Status Code: ' + response.status)
         expect(response.status).to.be.oneOf([200, 201])
@@ -134,7 +136,7 @@ describe('API Testing Using Cypress', () => {
       it('fetches a single resource', () => {
         cy.request({
           method: 'GET',
-          url: 'https://jsonplaceholder.typicode.com/posts/1'
+          url: siteUrl('jsonPlaceholder', '/posts/1')
         }).then((response) => {
           expect(response.status).to.eq(200)
           expect(response.body).to.have.all.keys('userId', 'id', 'title', 'body')
@@ -148,7 +150,7 @@ describe('API Testing Using Cypress', () => {
       it('fetches a collection of resources', () => {
         cy.request({
           method: 'GET',
-          url: 'https://jsonplaceholder.typicode.com/posts'
+          url: siteUrl('jsonPlaceholder', '/posts')
         }).then((response) => {
           expect(response.status).to.eq(200)
           expect(response.body).to.be.an('array')
@@ -167,7 +169,7 @@ describe('API Testing Using Cypress', () => {
         // Use 'qs' option to pass query parameters
         cy.request({
           method: 'GET',
-          url: 'https://jsonplaceholder.typicode.com/posts',
+          url: siteUrl('jsonPlaceholder', '/posts'),
           qs: {
             userId: 1,
             _limit: 5
@@ -185,10 +187,33 @@ describe('API Testing Using Cypress', () => {
       })
 
 
+      it('walks every page of a collection', () => {
+        // Follows the Link header until there is no rel="next"
+        cy.apiPaginate(siteUrl('jsonPlaceholder', '/posts'), { strategy: 'link-header', pageSize: 25 })
+          .should('have.length', 100)
+
+        // ?page=&per_page= with totals in the body (reqres.in)
+        cy.apiPaginate(siteUrl('reqres', '/users'), { strategy: 'page', pageSize: 5 }).then((users) => {
+          expect(users.length).to.be.greaterThan(5)
+          users.forEach((user) => expect(user).to.have.property('email'))
+        })
+      })
+
+
+      it('walks every page of a filtered collection', () => {
+        // Filters go in qs and stay on every page
+        cy.apiPaginate(siteUrl('jsonPlaceholder', '/posts'), { strategy: 'offset', pageSize: 4, qs: { userId: 1 } })
+          .then((posts) => {
+            expect(posts).to.have.length(10)
+            posts.forEach((post) => expect(post.userId).to.eq(1))
+          })
+      })
+
+
       it('handles 404 Not Found gracefully', () => {
         cy.request({
           method: 'GET',
-          url: 'https://jsonplaceholder.typicode.com/posts/9999',
+          url: siteUrl('jsonPlaceholder', '/posts/9999'),
           failOnStatusCode: false  // Don't fail test on 4xx/5xx
         }).then((response) => {
           expect(response.status).to.eq(404)
@@ -203,7 +228,7 @@ describe('API Testing Using Cypress', () => {
     // 2.2 POST Requests - Create new resources
     // -------------------------------------------------------------------------
 
-    describe('2.2 POST Requests', () => {
+    describe('2.2 POST Requests @destructive', () => {
 
       it('creates a new resource', () => {
         const newPost = {
@@ -214,7 +239,7 @@ describe('API Testing Using Cypress', () => {
 
         cy.request({
           method: 'POST',
-          url: 'https://jsonplaceholder.typicode.com/posts',
+          url: siteUrl('jsonPlaceholder', '/posts'),
           body: newPost,
           headers: {
             'Content-Type': 'application/json'
@@ -233,6 +258,9 @@ describe('API Testing Using Cypress', () => {
           expect(response.body.userId).to.eq(newPost.userId)
 
           cy.log('Created post with ID: ' + response.body.id)
+
+          // Deleted again after the test (cypress/support/resourceCleanup.js)
+          cy.trackResource('post', response.body.id, siteUrl('jsonPlaceholder', '/posts/' + response.body.id))
         })
       })
 
@@ -241,12 +269,13 @@ describe('API Testing Using Cypress', () => {
         cy.fixture('apiTestData').then((data) => {
           cy.request({
             method: 'POST',
-            url: data.baseUrls.jsonPlaceholder + '/posts',
+            url: siteUrl('jsonPlaceholder', '/posts'),
             body: data.testPosts.newPost
           }).then((response) => {
             expect(response.status).to.eq(201)
             expect(response.body.title).to.eq(data.testPosts.newPost.title)
             cy.log('Resource created using fixture data')
+            cy.trackResource('post', response.body.id, siteUrl('jsonPlaceholder', '/posts/' + response.body.id))
           })
         })
       })
@@ -257,7 +286,7 @@ describe('API Testing Using Cypress', () => {
     // 2.3 PUT Requests - Replace entire resource
     // -------------------------------------------------------------------------
 
-    describe('2.3 PUT Requests (Full Update)', () => {
+    describe('2.3 PUT Requests (Full Update) @destructive', () => {
 
       it('fully updates a resource', () => {
         const updatedPost = {
@@ -269,7 +298,7 @@ describe('API Testing Using Cypress', () => {
 
         cy.request({
           method: 'PUT',
-          url: 'https://jsonplaceholder.typicode.com/posts/1',
+          url: siteUrl('jsonPlaceholder', '/posts/1'),
           body: updatedPost
         }).then((response) => {
           expect(response.status).to.eq(200)
@@ -285,7 +314,7 @@ describe('API Testing Using Cypress', () => {
     // 2.4 PATCH Requests - Partial update
     // -------------------------------------------------------------------------
 
-    describe('2.4 PATCH Requests (Partial Update)', () => {
+    describe('2.4 PATCH Requests (Partial Update) @destructive', () => {
 
       it('partially updates a resource', () => {
         // Only update title, leave other fields unchanged
@@ -295,7 +324,7 @@ describe('API Testing Using Cypress', () => {
 
         cy.request({
           method: 'PATCH',
-          url: 'https://jsonplaceholder.typicode.com/posts/1',
+          url: siteUrl('jsonPlaceholder', '/posts/1'),
           body: partialUpdate
         }).then((response) => {
           expect(response.status).to.eq(200)
@@ -315,12 +344,12 @@ describe('API Testing Using Cypress', () => {
     // 2.5 DELETE Requests - Remove resources
     // -------------------------------------------------------------------------
 
-    describe('2.5 DELETE Requests', () => {
+    describe('2.5 DELETE Requests @destructive', () => {
 
       it('deletes a resource', () => {
         cy.request({
           method: 'DELETE',
-          url: 'https://jsonplaceholder.typicode.com/posts/1'
+          url: siteUrl('jsonPlaceholder', '/posts/1')
         }).then((response) => {
           expect(response.status).to.be.oneOf([200, 204])
           cy.log('Resource deleted successfully')
@@ -331,7 +360,7 @@ describe('API Testing Using Cypress', () => {
       it('verifies resource is deleted', () => {
         cy.request({
           method: 'DELETE',
-          url: 'https://jsonplaceholder.typicode.com/posts/1'
+          url: siteUrl('jsonPlaceholder', '/posts/1')
         }).then((deleteResponse) => {
           expect(deleteResponse.status).to.be.oneOf([200, 204])
         })
@@ -357,7 +386,7 @@ describe('API Testing Using Cypress', () => {
     describe('3.1 Validating Response Headers', () => {
 
       it('validates response headers', () => {
-        cy.request('https://jsonplaceholder.typicode.com/posts/1').then((response) => {
+        cy.request(siteUrl('jsonPlaceholder', '/posts/1')).then((response) => {
           // Check content-type header
           expect(response.headers).to.have.property('content-type')
           expect(response.headers['content-type']).to.include('application/json')
@@ -378,7 +407,7 @@ describe('API Testing Using Cypress', () => {
     describe('3.2 Response Schema Validation', () => {
 
       it('validates response matches expected schema', () => {
-        cy.request('https://jsonplaceholder.typicode.com/users/1').then((response) => {
+        cy.request(siteUrl('jsonPlaceholder', '/users/1')).then((response) => {
           const user = response.body
 
           // Validate required fields exist
@@ -403,6 +432,18 @@ describe('API Testing Using Cypress', () => {
           cy.log('Schema validation passed')
         })
       })
+
+      it('validates nested objects with a JSON Schema fixture', () => {
+        // cypress/fixtures/schemas/user.schema.json also checks address.geo,
+        // formats (email) and rejects unexpected fields
+        cy.request(siteUrl('jsonPlaceholder', '/users/1'))
+          .validateJsonSchema('user')
+      })
+
+      it('validates every item of a list response', () => {
+        cy.request(siteUrl('jsonPlaceholder', '/posts'))
+          .validateJsonSchema('posts')
+      })
     })
 
     // -------------------------------------------------------------------------
@@ -414,13 +455,54 @@ describe('API Testing Using Cypress', () => {
       it('responds within acceptable time limit', () => {
         const maxResponseTime = 3000 // 3 seconds
 
-        cy.request('https://jsonplaceholder.typicode.com/posts').then((response) => {
+        cy.request(siteUrl('jsonPlaceholder', '/posts')).then((response) => {
           expect(response.status).to.eq(200)
           expect(response.duration).to.be.lessThan(maxResponseTime)
 
           cy.log('Response time: ' + response.duration + 'ms (limit: ' + maxResponseTime + 'ms)')
         })
       })
+
+
+      it('keeps p95 latency within the endpoint budget', () => {
+        // Budgets per endpoint and environment live in envconfig.js (latency);
+        // how min/median/p95/max are computed is covered in e2e/support/latency.cy.js
+        cy.measureLatency({ service: 'jsonPlaceholder', path: '/posts/1' }, 5).then((stats) => {
+          expect(stats.count).to.eq(5)
+          expect(stats.budgetMs, 'budget from envconfig.js').to.be.a('number')
+          expect(stats.p95).to.be.at.most(stats.budgetMs)
+        })
+      })
+    })
+
+    // -------------------------------------------------------------------------
+    // 3.4 Snapshot Testing
+    // -------------------------------------------------------------------------
+
+    describe('3.4 Response Snapshot Testing', () => {
+
+      beforeEach(function () {
+        // Baselines are committed for the stand-in data (offline) only -
+        // on CI a missing snapshot would fail, see plugins/apiSnapshots.js
+        if (!isStandin('jsonPlaceholder')) {
+          this.skip()
+        }
+        // Earlier sections changed the stand-in's posts
+        cy.task('resetApiState')
+      })
+
+      it('matches the stored snapshot of a response', () => {
+        // Compared with cypress/snapshots/<profile>/Day3/apitestingusingcypress.cy/user-1.json
+        cy.apiRequest({ service: 'jsonPlaceholder', path: '/users/1' })
+          .matchApiSnapshot('user-1', { ignore: ['$.id'] })
+          .its('status')
+          .should('eq', 200)
+      })
+
+      it('ignores volatile fields in every list item', () => {
+        cy.apiRequest({ service: 'jsonPlaceholder', path: '/posts', qs: { userId: 1 } })
+          .matchApiSnapshot('posts-of-user-1', { ignore: ['$[*].id'] })
+      })
     })
   })
 
@@ -438,13 +520,13 @@ describe('API Testing Using Cypress', () => {
      * 3. Authentication -> Protected API calls
      */
 
-    it('chains multiple API requests (CRUD)', () => {
+    it('chains multiple API requests (CRUD) @destructive', () => {
       let createdPostId
 
       // Step 1: CREATE a new post
       cy.request({
         method: 'POST',
-        url: 'https://jsonplaceholder.typicode.com/posts',
+        url: siteUrl('jsonPlaceholder', '/posts'),
         body: {
           title: 'Chained Request Test',
           body: 'This post was created in a chain',
@@ -458,7 +540,7 @@ describe('API Testing Using Cypress', () => {
         // Step 2: READ the created post
         return cy.request({
           method: 'GET',
-          url: 'https://jsonplaceholder.typicode.com/posts/' + createdPostId
+          url: siteUrl('jsonPlaceholder', '/posts/') + createdPostId
         })
       }).then((readResponse) => {
         expect(readResponse.status).to.eq(200)
@@ -467,7 +549,7 @@ describe('API Testing Using Cypress', () => {
         // Step 3: UPDATE the post
         return cy.request({
           method: 'PUT',
-          url: 'https://jsonplaceholder.typicode.com/posts/' + createdPostId,
+          url: siteUrl('jsonPlaceholder', '/posts/') + createdPostId,
           body: {
             id: createdPostId,
             title: 'Updated Chained Post',
@@ -482,7 +564,7 @@ describe('API Testing Using Cypress', () => {
         // Step 4: DELETE the post
         return cy.request({
           method: 'DELETE',
-          url: 'https://jsonplaceholder.typicode.com/posts/' + createdPostId
+          url: siteUrl('jsonPlaceholder', '/posts/') + createdPostId
         })
       }).then((deleteResponse) => {
         expect(deleteResponse.status).to.be.oneOf([200, 204])
@@ -496,7 +578,7 @@ describe('API Testing Using Cypress', () => {
       // Step 1: Login and get token
       cy.request({
         method: 'POST',
-        url: 'https://reqres.in/api/login',
+        url: siteUrl('reqres', '/login'),
         body: {
           email: 'eve.holt@reqres.in',
           password: 'cityslicka'
@@ -511,7 +593,7 @@ describe('API Testing Using Cypress', () => {
         // Step 2: Use token for authenticated request
         return cy.request({
           method: 'GET',
-          url: 'https://reqres.in/api/users/2',
+          url: siteUrl('reqres', '/users/2'),
           headers: {
             Authorization: 'Bearer ' + authToken
           }
@@ -526,17 +608,106 @@ describe('API Testing Using Cypress', () => {
     })
 
 
+    it('reuses one cached token per identity with apiAuthRequest', () => {
+      // First call logs in as adminUser (loginCredentials fixture), the second reuses the token
+      cy.apiAuthRequest({ as: 'adminUser', service: 'reqres', path: '/users/2' })
+        .its('status').should('eq', 200)
+
+      cy.wrap(Cypress).invoke('env', 'authToken').then((firstToken) => {
+        expect(firstToken, 'token stored').to.be.a('string').and.not.be.empty
+
+        cy.apiAuthRequest({ as: 'adminUser', service: 'reqres', path: '/users/3' })
+          .its('status').should('eq', 200)
+        cy.wrap(Cypress).invoke('env', 'authToken').should('eq', firstToken)
+      })
+
+      // clearAllData also empties the token cache
+      cy.clearAllData()
+      cy.wrap(Cypress).invoke('env', 'authToken').should('be.null')
+    })
+
+
+    describe('token refresh', () => {
+
+      // Every login the token cache makes shows up as a 'login' entry in the Command Log
+      let logins
+      let profileTtl
+
+      beforeEach(() => {
+        logins = []
+        profileTtl = Cypress.env('authTokenTtl')
+        cy.on('log:added', (attrs) => {
+          if (attrs.name === 'login') {
+            logins.push(attrs.message)
+          }
+        })
+        cy.clearAllData()
+      })
+
+      afterEach(() => {
+        Cypress.env('authTokenTtl', profileTtl)
+      })
+
+      it('shares the token of cy.api.login with apiAuthRequest', () => {
+        cy.api.login('eve.holt@reqres.in', 'cityslicka').its('success').should('eq', true)
+        cy.apiAuthRequest({ as: 'eve.holt@reqres.in', service: 'reqres', path: '/users/2' })
+          .its('status').should('eq', 200)
+
+        cy.then(() => {
+          expect(logins).to.have.length(1)
+        })
+      })
+
+      it('keeps the error body of a rejected login', () => {
+        cy.api.login('eve.holt@reqres.in', '').then((result) => {
+          expect(result.success).to.eq(false)
+          expect(result.error).to.have.property('error')
+        })
+      })
+
+      it('logs in again when the cached token gets a 401', function () {
+        if (!isStandin('httpbin')) {
+          // Only the local httpbin (offline profile) answers 401 on demand
+          this.skip()
+        }
+
+        // The local httpbin answers 401 to every call: the token is dropped,
+        // a fresh one is fetched and the request is sent once more
+        cy.apiAuthRequest({ as: 'adminUser', service: 'httpbin', path: '/status/401' })
+          .its('status').should('eq', 401)
+
+        cy.then(() => {
+          expect(logins).to.have.length(2)
+          logins.forEach((login) => expect(login).to.include('reqres:adminUser'))
+        })
+      })
+
+      it('logs in again once the cached token expired', () => {
+        // A TTL in the past stores the token already expired - nothing to wait for
+        Cypress.env('authTokenTtl', -1)
+
+        cy.apiAuthRequest({ as: 'adminUser', service: 'reqres', path: '/users/2' })
+        cy.apiAuthRequest({ as: 'adminUser', service: 'reqres', path: '/users/2' })
+          .its('status').should('eq', 200)
+
+        cy.then(() => {
+          expect(logins).to.have.length(2)
+        })
+      })
+    })
+
+
     it('fetches related resources in sequence', () => {
       let userId
 
       // Step 1: Get a user
-      cy.request('https://jsonplaceholder.typicode.com/users/1').then((userResponse) => {
+      cy.request(siteUrl('jsonPlaceholder', '/users/1')).then((userResponse) => {
         userId = userResponse.body.id
         cy.log('User: ' + userResponse.body.name)
 
         // Step 2: Get user's posts
         return cy.request({
-          url: 'https://jsonplaceholder.typicode.com/posts',
+          url: siteUrl('jsonPlaceholder', '/posts'),
           qs: { userId: userId }
         })
       }).then((postsResponse) => {
@@ -545,7 +716,7 @@ describe('API Testing Using Cypress', () => {
         // Step 3: Get comments on first post
         const firstPostId = postsResponse.body[0].id
         return cy.request({
-          url: 'https://jsonplaceholder.typicode.com/comments',
+          url: siteUrl('jsonPlaceholder', '/comments'),
           qs: { postId: firstPostId }
         })
       }).then((commentsResponse) => {
@@ -573,7 +744,7 @@ describe('API Testing Using Cypress', () => {
     it('uses apiRequest custom command', () => {
       cy.apiRequest({
         method: 'GET',
-        url: 'https://jsonplaceholder.typicode.com/posts/1'
+        url: siteUrl('jsonPlaceholder', '/posts/1')
       }).then((response) => {
         expect(response.status).to.eq(200)
         expect(response.body).to.have.property('title')
@@ -581,14 +752,14 @@ describe('API Testing Using Cypress', () => {
     })
 
 
-    it('uses apiCreate custom command for POST', () => {
+    it('uses apiCreate custom command for POST @destructive', () => {
       const newPost = {
         title: 'Created via Custom Command',
         body: 'This demonstrates the apiCreate command',
         userId: 1
       }
 
-      cy.apiCreate('https://jsonplaceholder.typicode.com/posts', newPost)
+      cy.apiCreate(siteUrl('jsonPlaceholder', '/posts'), newPost)
         .then((response) => {
           expect(response.status).to.eq(201)
           expect(response.body.title).to.eq(newPost.title)
@@ -597,7 +768,7 @@ describe('API Testing Using Cypress', () => {
 
 
     it('uses apiRead custom command for GET', () => {
-      cy.apiRead('https://jsonplaceholder.typicode.com/posts', { _limit: 5 })
+      cy.apiRead(siteUrl('jsonPlaceholder', '/posts'), { _limit: 5 })
         .then((response) => {
           expect(response.status).to.eq(200)
           expect(response.body).to.have.length(5)
@@ -605,7 +776,7 @@ describe('API Testing Using Cypress', () => {
     })
 
 
-    it('uses apiUpdate custom command for PUT', () => {
+    it('uses apiUpdate custom command for PUT @destructive', () => {
       const updatedPost = {
         id: 1,
         title: 'Updated via Custom Command',
@@ -613,7 +784,7 @@ describe('API Testing Using Cypress', () => {
         userId: 1
       }
 
-      cy.apiUpdate('https://jsonplaceholder.typicode.com/posts/1', updatedPost)
+      cy.apiUpdate(siteUrl('jsonPlaceholder', '/posts/1'), updatedPost)
         .then((response) => {
           expect(response.status).to.eq(200)
           expect(response.body.title).to.eq(updatedPost.title)
@@ -621,8 +792,8 @@ describe('API Testing Using Cypress', () => {
     })
 
 
-    it('uses apiDelete custom command for DELETE', () => {
-      cy.apiDelete('https://jsonplaceholder.typicode.com/posts/1')
+    it('uses apiDelete custom command for DELETE @destructive', () => {
+      cy.apiDelete(siteUrl('jsonPlaceholder', '/posts/1'))
         .then((response) => {
           expect(response.status).to.be.oneOf([200, 204])
         })
@@ -640,7 +811,7 @@ describe('API Testing Using Cypress', () => {
         }
       }
 
-      cy.apiRead('https://jsonplaceholder.typicode.com/posts/1')
+      cy.apiRead(siteUrl('jsonPlaceholder', '/posts/1'))
         .validateSchema(schema)
         .validateHeaders({ 'content-type': 'application/json' })
         .then((response) => {
@@ -666,7 +837,7 @@ describe('API Testing Using Cypress', () => {
     it('handles 400 Bad Request', () => {
       cy.request({
         method: 'POST',
-        url: 'https://reqres.in/api/login',
+        url: siteUrl('reqres', '/login'),
         body: {
           email: 'test@test.com'
           // Missing password - should cause 400
@@ -683,7 +854,7 @@ describe('API Testing Using Cypress', () => {
     it('handles 404 Not Found', () => {
       cy.request({
         method: 'GET',
-        url: 'https://reqres.in/api/users/999',
+        url: siteUrl('reqres', '/users/999'),
         failOnStatusCode: false
       }).then((response) => {
         expect(response.status).to.eq(404)
@@ -695,13 +866,55 @@ describe('API Testing Using Cypress', () => {
     it('handles network timeout gracefully', () => {
       cy.request({
         method: 'GET',
-        url: 'https://jsonplaceholder.typicode.com/posts',
+        url: siteUrl('jsonPlaceholder', '/posts'),
         timeout: 30000
       }).then((response) => {
         expect(response.status).to.eq(200)
         cy.log('Request completed within timeout')
       })
     })
+
+
+    it('retries transient failures with backoff', function () {
+      if (!isStandin('httpbin')) {
+        // Only the local httpbin (offline profile) answers a fixed sequence of statuses
+        this.skip()
+      }
+
+      // /status/503 always answers 503, so every attempt is made and the last response is yielded
+      cy.task('resetApiState')
+      cy.apiRequest({ service: 'httpbin', path: '/status/503', retry: { maxAttempts: 3, baseDelayMs: 100 } })
+        .then((response) => {
+          expect(response.status).to.eq(503)
+          expect(response.attempts).to.eq(3)
+        })
+
+      // The stand-in answers 503, 503, then 200: the call recovers on its third attempt
+      cy.apiRequest({ service: 'httpbin', path: '/status/503,503,200', retry: { maxAttempts: 3, baseDelayMs: 100 } })
+        .then((response) => {
+          expect(response.status).to.eq(200)
+          expect(response.attempts).to.eq(3)
+        })
+
+      // POST is not idempotent, so it is sent only once
+      cy.apiRequest({ method: 'POST', service: 'httpbin', path: '/status/503', body: {} })
+        .its('attempts')
+        .should('eq', 1)
+    })
+
+
+    it('gives up on a host that refuses connections', () => {
+      cy.on('fail', (err) => {
+        expect(err.message).to.include('ECONNREFUSED')
+        return false
+      })
+
+      // Nothing listens on port 9 (discard) - Cypress resends the GET, then the test fails
+      cy.apiRequest({ url: 'http://127.0.0.1:9/', retry: { maxAttempts: 2, baseDelayMs: 100 } })
+      cy.then(() => {
+        throw new Error('apiRequest reached a host that should refuse connections')
+      })
+    })
   })
 
 
@@ -719,13 +932,13 @@ describe('API Testing Using Cypress', () => {
      * - API for verification (verify UI actions via API)
      */
 
-    it('demonstrates API-first test setup pattern', () => {
+    it('demonstrates API-first test setup pattern @destructive', () => {
       // Use API to create test data, then verify in UI
       // This is faster and more reliable than creating data through UI
 
       cy.request({
         method: 'POST',
-        url: 'https://jsonplaceholder.typicode.com/posts',
+        url: siteUrl('jsonPlaceholder', '/posts'),
         body: {
           title: 'Test Post for UI Verification',
           body: 'Created via API for testing',
@@ -747,7 +960,7 @@ describe('API Testing Using Cypress', () => {
 
       cy.request({
         method: 'POST',
-        url: 'https://reqres.in/api/login',
+        url: siteUrl('reqres', '/login'),
         body: {
           email: 'eve.holt@reqres.in',
           password: 'cityslicka'
@@ -0,0 +1,47 @@
+/*
+ * CRUD Lifecycle Tests Generated from a Resource Definition
+ * =========================================================
+ *
+ * The create -> read -> update -> patch -> delete -> 404 flow is the same
+ * for every REST resource. describeCrud() writes that suite once from a
+ * definition, so a new resource is a few lines instead of a new spec.
+ *
+ * Key Points:
+ * - Payloads come straight from the apiTestData fixture
+ * - Every response is checked against its JSON Schema fixture
+ * - The public JSONPlaceholder only fakes writes, so there the suite
+ *   works on an existing item and skips the read-back steps; against
+ *   the offline stand-in (CYPRESS_ENV=offline) every step runs
+ * - Created items are deleted by the cleanup registry even if a step fails
+ */
+
+import { siteUrl, isStandin } from '../../support/sites'
+import { describeCrud } from '../../support/describeCrud'
+import apiTestData from '../../fixtures/apiTestData.json'
+
+describe('CRUD Lifecycle (generated)', () => {
+
+  before(() => {
+    // Offline stand-in: start from the seed data (no-op against the real site)
+    cy.task('resetApiState')
+  })
+
+  describeCrud('posts', {
+    baseUrl: siteUrl('jsonPlaceholder', '/posts'),
+    validPayload: apiTestData.testPosts.newPost,
+    updatePayload: apiTestData.testPosts.updatePost,
+    patchPayload: apiTestData.testPosts.patchPost,
+    schema: 'post',
+    persistsWrites: isStandin('jsonPlaceholder'),
+    existingId: 1
+  })
+
+  describeCrud('comments', {
+    baseUrl: siteUrl('jsonPlaceholder', '/comments'),
+    validPayload: { postId: 1, name: 'Training comment', email: 'trainer@example.com', body: 'Created by describeCrud' },
+    updatePayload: { postId: 1, name: 'Updated comment', email: 'trainer@example.com', body: 'Replaced with PUT' },
+    schema: 'comment',
+    persistsWrites: isStandin('jsonPlaceholder'),
+    existingId: 1
+  })
+})
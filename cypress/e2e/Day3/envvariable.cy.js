@@ -10,6 +10,8 @@
  * - Switch between environments (dev, qa, prod)
  * 
  * Key Files:
+ * - envconfig.js: Per-environment profiles and default env values
+ * - .env.<profile>: Local overrides for one profile (e.g. .env.qa)
  * - cypress.env.json: Stores sensitive and environment-specific values
  * - cypress.config.js: Base configuration
  * - cypress.config.dev.js: Development environment config
@@ -21,6 +23,9 @@
  * - Never commit sensitive data like passwords or API keys
  */
 
+import { requiresFlag } from '../../support/featureFlags'
+import { isAllowedWrite } from '../../support/sites'
+
 describe('Environment Variables in Cypress', () => {
 
   // Load fixture data for tests
@@ -56,7 +61,8 @@ describe('Environment Variables in Cypress', () => {
     it('reads API base URL from environment', () => {
       const apiBaseUrl = Cypress.env('apiBaseUrl')
       cy.log('API Base URL: ' + apiBaseUrl)
-      expect(apiBaseUrl).to.include('https://')
+      // Taken from the site registry - http://localhost:... under the offline stand-ins
+      expect(apiBaseUrl).to.match(/^https?:\/\//)
     })
 
     it('uses custom command to get environment variable', () => {
@@ -81,6 +87,7 @@ describe('Environment Variables in Cypress', () => {
    * -------------------------------------
    * Feature flags allow enabling/disabling features per environment
    * Common use: enable debug mode in dev, disable in production
+   * Flags are declared per profile in envconfig.js (featureFlags)
    */
   describe('Feature Flags', () => {
 
@@ -100,16 +107,10 @@ describe('Environment Variables in Cypress', () => {
       })
     })
 
-    it('conditionally runs tests based on feature flag', () => {
-      cy.checkFeatureFlag('betaFeatures').then((isEnabled) => {
-        if (isEnabled) {
-          cy.log('Running beta feature tests')
-          // Add beta feature test logic here
-          expect(true).to.be.true
-        } else {
-          cy.log('Skipping beta feature tests - flag disabled')
-        }
-      })
+    // Skipped (with the reason in the report) when betaFeatures is off
+    it('conditionally runs tests based on feature flag', requiresFlag('betaFeatures'), () => {
+      cy.log('Running beta feature tests')
+      cy.checkFeatureFlag('betaFeatures').should('be.true')
     })
   })
 
@@ -145,7 +146,7 @@ describe('Environment Variables in Cypress', () => {
       })
     })
 
-    it('creates a resource using environment configuration', () => {
+    it('creates a resource using environment configuration @destructive', () => {
       const newPost = {
         title: 'Test Post from Environment Demo',
         body: 'This post was created using environment variables',
@@ -170,11 +171,14 @@ describe('Environment Variables in Cypress', () => {
   describe('Environment Information', () => {
 
     it('logs current environment configuration', () => {
-      cy.logEnvironmentInfo()
-      
-      // Verify key configurations are set
-      const baseUrl = Cypress.config('baseUrl')
-      expect(baseUrl).to.not.be.empty
+      cy.envInfo().then((info) => {
+        // Verify key configurations are set
+        expect(info.baseUrl).to.not.be.empty
+
+        // Every value records which layer it came from
+        expect(info.sources).to.have.property('apiBaseUrl')
+        expect(info.sources).to.have.property('environment', 'profile')
+      })
     })
 
     it('verifies all required environment variables are set', () => {
@@ -298,13 +302,30 @@ describe('Configuration Management Best Practices', () => {
       cy.log('Environment: ' + environment)
       cy.log('Mocking enabled: ' + mockEnabled)
 
+      // mockEnabled picks the network mode unless --env networkMode=... is given
+      // (see cypress/plugins/networkRecorder.js)
+      const networkMode = Cypress.env('networkMode')
+      expect(networkMode).to.be.oneOf(['record', 'replay', 'live'])
+
       // This pattern allows same test to work differently per environment
-      if (mockEnabled) {
-        cy.log('Using mocked responses')
+      if (networkMode === 'replay') {
+        cy.log('Using recorded responses')
       } else {
         cy.log('Using real API responses')
       }
     })
+
+    it('allows read-only writes only to the listed site paths', () => {
+      // policy.allowedWrites entries are '<site> <path>' (see sites.js)
+      const sites = { reqres: 'https://reqres.in/api' }
+      const allowedWrites = ['reqres /login']
+
+      expect(isAllowedWrite(allowedWrites, sites, 'https://reqres.in/api/login')).to.eq(true)
+      expect(isAllowedWrite(allowedWrites, sites, 'https://reqres.in/api/login?next=home')).to.eq(true)
+      expect(isAllowedWrite(allowedWrites, sites, 'https://reqres.in/api/users')).to.eq(false)
+      expect(isAllowedWrite(allowedWrites, sites, 'https://evil.example/?x=reqres.in/api/login')).to.eq(false)
+      expect(isAllowedWrite(allowedWrites, sites, 'https://evil.example/api/login')).to.eq(false)
+    })
   })
 
 
@@ -330,26 +351,29 @@ describe('Configuration Management Best Practices', () => {
  * Summary: How to Use Environment Files
  * =====================================
  * 
- * 1. cypress.env.json (Sensitive data - gitignore this)
+ * 1. envconfig.js profile (Non-sensitive defaults per environment)
+ *    qa: { ..., env: { username: 'qa_user', timeouts: { ... } } }
+ * 
+ * 2. .env.<profile> file, e.g. .env.qa (Per-engineer values - gitignored)
+ *    password=SecurePass123
+ *    featureFlags={"darkMode":true}
+ * 
+ * 3. cypress.env.json (Sensitive data - gitignore this)
  *    {
- *      "username": "qa_user",
  *      "password": "SecurePass123",
  *      "apiToken": "secret-token"
  *    }
  * 
- * 2. cypress.config.js env section (Non-sensitive defaults)
- *    env: {
- *      environment: 'qa',
- *      apiBaseUrl: 'https://api.qa.example.com'
- *    }
- * 
- * 3. CLI Override (Highest priority)
- *    npx cypress run --env environment=prod,apiBaseUrl=https://api.prod.com
- * 
  * 4. System Environment Variables
  *    export CYPRESS_apiToken=my-token
  *    (Prefix with CYPRESS_ to make available in tests)
  * 
+ * 5. CLI Override (Highest priority)
+ *    npx cypress run --env username=me,apiBaseUrl=https://api.prod.com
+ * 
  * Priority Order (highest to lowest):
- *    CLI > cypress.env.json > cypress.config.js env > System Variables
+ *    CLI > System Variables > cypress.env.json > .env.<profile> > envconfig.js
+ * 
+ * The terminal prints a table of every value and its source when Cypress
+ * starts, and cy.envInfo() shows the same table in the Command Log.
  */
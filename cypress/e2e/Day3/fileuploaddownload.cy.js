@@ -36,7 +36,7 @@ describe('File Upload and Download in Cypress', () => {
 
     it('uploads a file using the selectFile method', () => {
       // Visit the upload page
-      cy.visit(testData.uploadPage.url)
+      cy.visitSite(testData.uploadPage.site, testData.uploadPage.path)
 
       // Upload file using Cypress native selectFile command
       // The file path is relative to the project root
@@ -54,7 +54,7 @@ describe('File Upload and Download in Cypress', () => {
     })
 
     it('uploads a file using custom command', () => {
-      cy.visit(testData.uploadPage.url)
+      cy.visitSite(testData.uploadPage.site, testData.uploadPage.path)
 
       // Use our custom uploadFile command
       cy.uploadFile(testData.uploadPage.fileInput, testData.testFiles.sampleText)
@@ -66,7 +66,7 @@ describe('File Upload and Download in Cypress', () => {
     })
 
     it('verifies the uploaded filename is displayed', () => {
-      cy.visit(testData.uploadPage.url)
+      cy.visitSite(testData.uploadPage.site, testData.uploadPage.path)
 
       // Upload the file
       cy.uploadFile(testData.uploadPage.fileInput, testData.testFiles.sampleText)
@@ -93,7 +93,7 @@ describe('File Upload and Download in Cypress', () => {
     })
 
     it('downloads a file and verifies it exists', () => {
-      cy.visit(testData.downloadPage.url)
+      cy.visitSite(testData.downloadPage.site, testData.downloadPage.path)
 
       // Find and click a download link
       // Using a file that exists on the test site
@@ -111,7 +111,7 @@ describe('File Upload and Download in Cypress', () => {
     })
 
     it('downloads a file and checks its content', () => {
-      cy.visit(testData.downloadPage.url)
+      cy.visitSite(testData.downloadPage.site, testData.downloadPage.path)
 
       cy.get('a[href$=".txt"]').first().then(($link) => {
         const fileName = $link.text().trim()
@@ -131,7 +131,7 @@ describe('File Upload and Download in Cypress', () => {
     })
 
     it('uses task to check if downloaded file exists', () => {
-      cy.visit(testData.downloadPage.url)
+      cy.visitSite(testData.downloadPage.site, testData.downloadPage.path)
 
       cy.get('a[href$=".txt"]').first().then(($link) => {
         const fileName = $link.text().trim()
@@ -163,7 +163,7 @@ describe('File Upload and Download in Cypress', () => {
 
     it('verifies upload success message appears correctly', () => {
       // Visit the upload page
-      cy.visit(testData.uploadPage.url)
+      cy.visitSite(testData.uploadPage.site, testData.uploadPage.path)
       
       // Upload the file
       cy.uploadFile(testData.uploadPage.fileInput, testData.testFiles.sampleText)
@@ -199,14 +199,14 @@ describe('File Upload and Download in Cypress', () => {
 
     it('confirms file operations work correctly', () => {
       // Confirm upload works
-      cy.visit(testData.uploadPage.url)
+      cy.visitSite(testData.uploadPage.site, testData.uploadPage.path)
       cy.uploadFile(testData.uploadPage.fileInput, testData.testFiles.sampleText)
       cy.get(testData.uploadPage.submitButton).click()
       cy.contains(testData.uploadPage.successMessage).should('be.visible')
 
       // Confirm download works
       cy.clearDownloadsFolder()
-      cy.visit(testData.downloadPage.url)
+      cy.visitSite(testData.downloadPage.site, testData.downloadPage.path)
       cy.get('a[href$=".txt"]').first().click()
 
       // Wait and verify
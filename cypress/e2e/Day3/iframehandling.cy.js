@@ -35,7 +35,7 @@ describe('Handling Iframes in Cypress', () => {
 
     it('demonstrates that Cypress works in the main document context', () => {
       // Visit the TinyMCE editor page
-      cy.visit('https://the-internet.herokuapp.com/iframe')
+      cy.visitSite('herokuapp', '/iframe')
 
       // This works - finding elements in the main document
       cy.get('h3').should('contain', 'An iFrame containing the TinyMCE WYSIWYG Editor')
@@ -48,7 +48,7 @@ describe('Handling Iframes in Cypress', () => {
     })
 
     it('shows the iframe structure on the page', () => {
-      cy.visit('https://the-internet.herokuapp.com/iframe')
+      cy.visitSite('herokuapp', '/iframe')
 
       // Verify the iframe exists in the main document
       cy.get('#mce_0_ifr')
@@ -75,7 +75,7 @@ describe('Handling Iframes in Cypress', () => {
   describe('Accessing Iframe Content', () => {
 
     beforeEach(() => {
-      cy.visit('https://the-internet.herokuapp.com/iframe')
+      cy.visitSite('herokuapp', '/iframe')
     })
 
     it('accesses the iframe body using our custom command', () => {
@@ -119,7 +119,7 @@ describe('Handling Iframes in Cypress', () => {
   describe('Typing and Interacting Inside the Iframe', () => {
 
     beforeEach(() => {
-      cy.visit('https://the-internet.herokuapp.com/iframe')
+      cy.visitSite('herokuapp', '/iframe')
     })
 
     it('types text inside the iframe editor', () => {
@@ -182,7 +182,7 @@ describe('Handling Iframes in Cypress', () => {
   describe('Using Fixture Data with Iframes', () => {
 
     beforeEach(() => {
-      cy.visit('https://the-internet.herokuapp.com/iframe')
+      cy.visitSite('herokuapp', '/iframe')
     })
 
     it('types text from fixture data', () => {
@@ -230,7 +230,7 @@ describe('Handling Iframes in Cypress', () => {
   describe('Best Practices for Reliable Iframe Tests', () => {
 
     beforeEach(() => {
-      cy.visit('https://the-internet.herokuapp.com/iframe')
+      cy.visitSite('herokuapp', '/iframe')
     })
 
     it('waits for iframe content to be ready before interacting', () => {
@@ -294,7 +294,7 @@ describe('Handling Iframes in Cypress', () => {
   describe('Summary - Iframe Handling Checklist', () => {
 
     it('confirms all iframe handling concepts work', () => {
-      cy.visit('https://the-internet.herokuapp.com/iframe')
+      cy.visitSite('herokuapp', '/iframe')
 
       // Step 1: Access the iframe
       cy.getIframeBody('#mce_0_ifr').should('exist')
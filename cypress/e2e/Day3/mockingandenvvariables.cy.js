@@ -11,6 +11,8 @@
  * - Mocking error scenarios (500, 401, 404)
  * - Simulating slow network responses
  * - Using fixtures to store mock data
+ * - Scenario-based mocking with cy.mockScenario()
+ * - Seeded network chaos (latency, 5xx, resets, broken JSON)
  * 
  * Why Mock Network Requests?
  * - Tests become stable and predictable
@@ -20,6 +22,10 @@
  */
 
 
+import { siteUrl } from '../../support/sites'
+import { withChaos, createRandom, hashString, applyChaos } from '../../support/networkChaos'
+import { requestKey, testKey, buildReplayQueues, nextReplay } from '../../support/networkReplay'
+
 describe('Mocking Network Requests with cy.intercept()', () => {
 
   // Load mock data from fixture before all tests
@@ -77,7 +83,7 @@ describe('Mocking Network Requests with cy.intercept()', () => {
       }).as('getTodo')
 
       // Make the actual request
-      cy.request('https://jsonplaceholder.typicode.com/todos/1')
+      cy.request(siteUrl('jsonPlaceholder', '/todos/1'))
 
       // Wait for the request (note: cy.request bypasses intercept in this case)
       // In real tests, the app would trigger the request
@@ -98,11 +104,8 @@ describe('Mocking Network Requests with cy.intercept()', () => {
      */
 
     it('mocks a successful response using fixture data', () => {
-      // Use data from our fixture file
-      cy.intercept('GET', '/api/users', {
-        statusCode: mockData.users.success.statusCode,
-        body: mockData.users.success.body
-      }).as('getUsersSuccess')
+      // Use the users.success scenario from mockData.json
+      cy.mockScenario('users', 'success')
 
       cy.visit('https://example.cypress.io/')
 
@@ -202,11 +205,8 @@ describe('Mocking Network Requests with cy.intercept()', () => {
 
 
     it('mocks error from fixture data', () => {
-      // Use preset error responses from fixture
-      cy.intercept('GET', '/api/users', {
-        statusCode: mockData.users.serverError.statusCode,
-        body: mockData.users.serverError.body
-      }).as('getUsersError')
+      // Use the preset users.serverError scenario from the fixture
+      cy.mockScenario('users', 'serverError')
 
       cy.visit('https://example.cypress.io/')
 
@@ -288,7 +288,7 @@ describe('Mocking Network Requests with cy.intercept()', () => {
       cy.intercept('GET', '**/todos/*').as('getTodoSpy')
 
       // Make a real request
-      cy.request('https://jsonplaceholder.typicode.com/todos/1')
+      cy.request(siteUrl('jsonPlaceholder', '/todos/1'))
         .then((response) => {
           expect(response.status).to.equal(200)
           expect(response.body).to.have.property('id', 1)
@@ -331,7 +331,7 @@ describe('Mocking Network Requests with cy.intercept()', () => {
         })
       }).as('modifyTodo')
 
-      cy.request('https://jsonplaceholder.typicode.com/todos/1')
+      cy.request(siteUrl('jsonPlaceholder', '/todos/1'))
         .then((response) => {
           // Note: cy.request doesn't go through intercept
           // This pattern works when the app makes the request
@@ -342,10 +342,245 @@ describe('Mocking Network Requests with cy.intercept()', () => {
 
 
   // =========================================================================
-  // SECTION 6: Summary and Best Practices
+  // SECTION 6: Scenario-Based Mocking (mockData.json)
   // =========================================================================
 
-  describe('Section 6: Summary', () => {
+  describe('Section 6: Scenario-Based Mocking', () => {
+
+    /*
+     * mockData.json models each API as named scenarios.
+     * cy.mockScenario() wires the intercept by convention, so specs
+     * never re-type response bodies:
+     *   cy.mockScenario('users', 'serverError')   -> GET **\/api/users*, alias @users
+     */
+
+    // Trigger a request from the page, like the application would
+    const fetchFromPage = (path, init) => {
+      return cy.window().then((win) => win.fetch(path, init).then((res) => res.status))
+    }
+
+    beforeEach(() => {
+      cy.visit('https://example.cypress.io/')
+    })
+
+    it('mocks one scenario by name', () => {
+      cy.mockScenario('users', 'unauthorized')
+
+      fetchFromPage('/api/users')
+      cy.wait('@users').then((interception) => {
+        expect(interception.response.statusCode).to.eq(mockData.users.unauthorized.statusCode)
+        expect(interception.response.body).to.deep.eq(mockData.users.unauthorized.body)
+      })
+    })
+
+    it('mocks several APIs in one call', () => {
+      cy.mockScenarios({ users: 'empty', posts: 'created' })
+
+      fetchFromPage('/api/users')
+      cy.wait('@users').its('response.body.users').should('have.length', 0)
+
+      fetchFromPage('/api/posts', { method: 'POST', body: '{}' })
+      cy.wait('@createPost').its('response.statusCode').should('eq', 201)
+    })
+
+    it('switches scenarios mid-test', () => {
+      // First the API is down...
+      cy.mockScenario('users', 'serverError')
+      fetchFromPage('/api/users').should('eq', 500)
+      cy.wait('@users')
+
+      // ...then it recovers - the newest intercept wins
+      cy.mockScenario('users', 'success')
+      fetchFromPage('/api/users').should('eq', 200)
+      cy.wait('@users').its('response.body.users').should('have.length', 2)
+    })
+
+    it('overrides a convention for one call', () => {
+      // Only the next request fails, later ones fall through to users.success
+      cy.mockScenario('users', 'success')
+      cy.mockScenario('users', 'notFound', { url: '**/api/users/*', alias: 'getUser', times: 1 })
+
+      fetchFromPage('/api/users/999').should('eq', 404)
+      fetchFromPage('/api/users').should('eq', 200)
+    })
+  })
+
+  // =========================================================================
+  // SECTION 7: Network Chaos (resilience testing)
+  // =========================================================================
+
+  describe('Section 7: Network Chaos', () => {
+
+    /*
+     * Chaos turns a clean mock into an unreliable one: random latency,
+     * intermittent 5xx, connection resets, truncated JSON, slow bandwidth.
+     * Draws are seeded - the seed is in the report, and
+     * --env chaosSeed=<seed> replays exactly the same failures.
+     */
+
+    const fetchStatus = (path) => {
+      return cy.window().then((win) => win.fetch(path).then((res) => res.status, () => 'network error'))
+    }
+
+    beforeEach(() => {
+      cy.visit('https://example.cypress.io/')
+    })
+
+    it('always fails when errorRate is 1', withChaos({ errorRate: 1, errorStatuses: [503] }), () => {
+      cy.mockScenario('users', 'success')
+
+      fetchStatus('/api/users').should('eq', 503)
+    })
+
+    it('adds latency within the configured range', () => {
+      cy.mockScenario('users', 'success', { chaos: { latency: [300, 600] } })
+
+      // Timed from the moment the fetch is sent; 400ms slack for the round trip
+      cy.window().then((win) => {
+        const started = Date.now()
+        return win.fetch('/api/users').then((res) => ({ status: res.status, elapsed: Date.now() - started }))
+      }).then(({ status, elapsed }) => {
+        expect(status).to.eq(200)
+        expect(elapsed).to.be.within(300, 600 + 400)
+      })
+    })
+
+    it('injects the same latency and failures again for the same seed', () => {
+      // chaosHandler seeds each route in each test like this (see networkChaos.js)
+      const chaos = { latency: [100, 900], errorRate: 0.3, resetRate: 0.1, corruptRate: 0.2 }
+      const draw = (seed) => {
+        const random = createRandom(hashString(seed + '|Shop > checkout|GET /api/users'))
+        return Array.from({ length: 20 }, () => applyChaos({ statusCode: 200, body: { users: [] } }, chaos, random).effects.join(', '))
+      }
+
+      const effects = draw(1234)
+      expect(draw(1234)).to.deep.eq(effects)
+      expect(draw(4321)).not.to.deep.eq(effects)
+      expect(effects.some((effect) => /status 50\d|connection reset|truncated body/.test(effect)), 'some failures injected').to.eq(true)
+    })
+
+    it('simulates connection resets and broken JSON', () => {
+      cy.mockScenario('users', 'success', { chaos: { resetRate: 1 } })
+      fetchStatus('/api/users').should('eq', 'network error')
+
+      cy.mockScenario('posts', 'success', { chaos: { corruptRate: 1 } })
+      cy.window().then((win) => {
+        return win.fetch('/api/posts').then((res) => res.json()).then(() => 'parsed', () => 'invalid json')
+      }).should('eq', 'invalid json')
+    })
+  })
+
+
+  // =========================================================================
+  // SECTION 8: Record and Replay
+  // =========================================================================
+
+  describe('Section 8: Record and Replay', () => {
+
+    /*
+     * --env networkMode=record saves every XHR/fetch response of a spec,
+     * and replay serves them back (mockEnabled profiles replay by default).
+     * Responses belong to the test that recorded them - another test
+     * calling the same URL is not served them.
+     */
+
+    const loginTest = testKey(['Shop', 'logs in'])
+    const lockedTest = testKey(['Shop', 'shows a locked account'])
+    const entries = [
+      { test: loginTest, method: 'POST', url: 'https://shop.test/api/login', statusCode: 200 },
+      { test: lockedTest, method: 'POST', url: 'https://shop.test/api/login', statusCode: 423 },
+      { test: loginTest, method: 'GET', url: 'https://shop.test/api/cart', statusCode: 200, body: { items: 0 } },
+      { test: loginTest, method: 'GET', url: 'https://shop.test/api/cart', statusCode: 200, body: { items: 1 } }
+    ]
+
+    it('serves each test only the responses it recorded', () => {
+      const login = requestKey('post', 'https://shop.test/api/login')
+
+      expect(nextReplay(buildReplayQueues(entries, loginTest), login).statusCode).to.eq(200)
+      expect(nextReplay(buildReplayQueues(entries, lockedTest), login).statusCode).to.eq(423)
+      expect(nextReplay(buildReplayQueues(entries, lockedTest), requestKey('GET', 'https://shop.test/api/cart'))).to.eq(null)
+    })
+
+    it('replays repeated calls in recorded order and repeats the last one', () => {
+      const queues = buildReplayQueues(entries, loginTest)
+      const cart = requestKey('GET', 'https://shop.test/api/cart')
+
+      expect(nextReplay(queues, cart).body.items).to.eq(0)
+      expect(nextReplay(queues, cart).body.items).to.eq(1)
+      expect(nextReplay(queues, cart).body.items).to.eq(1)
+    })
+  })
+
+
+  // =========================================================================
+  // SECTION 9: Network Guard
+  // =========================================================================
+
+  describe('Section 9: Network Guard', () => {
+
+    /*
+     * With mockEnabled the guard fails browser requests no intercept
+     * answered, and cy.request() calls to hosts that are not in
+     * networkGuard.allowedHosts (see cypress/support/networkGuard.js).
+     * The guard decides in a global beforeEach, so these tests switch it
+     * on in fail mode in before() and put the profile's settings back
+     * in after().
+     */
+
+    const siteHost = new URL(siteUrl('jsonPlaceholder')).hostname
+    let profileSettings
+
+    before(() => {
+      profileSettings = {
+        mockEnabled: Cypress.env('mockEnabled'),
+        networkGuard: Cypress.env('networkGuard')
+      }
+      Cypress.env('mockEnabled', true)
+      Cypress.env('networkGuard', { onUnmocked: 'fail', allowedHosts: [siteHost] })
+    })
+
+    after(() => {
+      Cypress.env('mockEnabled', profileSettings.mockEnabled)
+      Cypress.env('networkGuard', profileSettings.networkGuard)
+    })
+
+    it('fails a browser request that no intercept answered', () => {
+      cy.on('fail', (err) => {
+        expect(err.message).to.include('Network guard: unmocked request GET https://unregistered.invalid/api/users')
+        return false
+      })
+
+      // A JSON page on an allowlisted host: it makes no requests of its own
+      cy.visit(siteUrl('jsonPlaceholder', '/users/1'))
+      cy.window().then((win) => win.fetch('https://unregistered.invalid/api/users').then(() => 'answered', () => 'network error'))
+      cy.then(() => {
+        throw new Error('the guard let the fetch through')
+      })
+    })
+
+    it('blocks cy.request to a host that is not allowlisted', () => {
+      cy.on('fail', (err) => {
+        expect(err.message).to.include('Network guard: cy.request to a non-allowlisted host GET https://unregistered.invalid/api/users')
+        return false
+      })
+
+      cy.request('https://unregistered.invalid/api/users')
+      cy.then(() => {
+        throw new Error('the guard let the request through')
+      })
+    })
+
+    it('lets calls to an allowlisted site through', () => {
+      cy.request(siteUrl('jsonPlaceholder') + '/users/1').its('status').should('eq', 200)
+    })
+  })
+
+
+  // =========================================================================
+  // SECTION 10: Summary and Best Practices
+  // =========================================================================
+
+  describe('Section 10: Summary', () => {
 
     /*
      * Key Takeaways:
@@ -356,6 +591,7 @@ describe('Mocking Network Requests with cy.intercept()', () => {
      *    - Mock success responses (200, 201)
      *    - Mock error responses (400, 401, 404, 500)
      *    - Simulate slow network (delay option)
+     *    - Inject seeded failures (withChaos / chaos option)
      *    - Spy on requests without changing them
      * 
      * 3. Benefits:
@@ -365,7 +601,7 @@ describe('Mocking Network Requests with cy.intercept()', () => {
      *    - CI/CD pipelines are more reliable
      * 
      * 4. Best Practices:
-     *    - Store mock data in fixtures
+     *    - Store mock data in fixtures (cy.mockScenario for named scenarios)
      *    - Use meaningful alias names
      *    - Test both success and error paths
      */
@@ -374,10 +610,7 @@ describe('Mocking Network Requests with cy.intercept()', () => {
       // Quick demo of full mocking workflow
 
       // Step 1: Set up the intercept
-      cy.intercept('GET', '/api/users', {
-        statusCode: 200,
-        body: mockData.users.success.body
-      }).as('getUsers')
+      cy.mockScenario('users', 'success')
 
       // Step 2: Visit the page (this would trigger the API call in real app)
       cy.visit('https://example.cypress.io/')
@@ -385,7 +618,7 @@ describe('Mocking Network Requests with cy.intercept()', () => {
       // Step 3: Log what we learned
       cy.log('Step 1: cy.intercept() sets up the mock')
       cy.log('Step 2: App makes request, gets mocked response')
-      cy.log('Step 3: cy.wait("@alias") waits for the request')
+      cy.log('Step 3: cy.wait("@users") waits for the request')
       cy.log('Step 4: Assert on the UI that received mocked data')
     })
   })
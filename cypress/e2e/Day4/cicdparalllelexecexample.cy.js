@@ -18,6 +18,8 @@
  * 4. Jenkins is a popular CI tool for running Cypress tests
  */
 
+import { siteUrl } from '../../support/sites'
+
 describe('CI/CD and Parallel Execution in Cypress', () => {
 
   let cicdData
@@ -91,7 +93,7 @@ describe('CI/CD and Parallel Execution in Cypress', () => {
 
     it('performs health check before tests', () => {
       // Always verify the application is up before running tests
-      const apiBaseUrl = cicdData.apiBaseUrl
+      const apiBaseUrl = siteUrl(cicdData.apiSite)
       const healthEndpoint = cicdData.testEndpoints.healthCheck || '/users/1'
       
       cy.request({
@@ -113,7 +115,7 @@ describe('CI/CD and Parallel Execution in Cypress', () => {
     })
 
     it('validates API endpoints are responding', () => {
-      const apiBaseUrl = cicdData.apiBaseUrl
+      const apiBaseUrl = siteUrl(cicdData.apiSite)
       
       // Check multiple endpoints quickly
       const endpoints = ['/users', '/posts']
@@ -315,7 +317,7 @@ describe('CI/CD and Parallel Execution in Cypress', () => {
       
       cy.request({
         method: 'GET',
-        url: cicdData.apiBaseUrl + '/users',
+        url: siteUrl(cicdData.apiSite, '/users'),
         timeout: cicdData.timeouts.ciDefault
       }).then((response) => {
         expect(response.status).to.equal(200)
@@ -22,6 +22,7 @@
  */
 
 import LoginPage from '../../pages/LoginPage'
+import { siteUrl } from '../../support/sites'
 
 describe('Scalable Login Test Suite', () => {
   
@@ -42,7 +43,7 @@ describe('Scalable Login Test Suite', () => {
     
     beforeEach(() => {
       // Visit login page before each test
-      cy.visit('https://the-internet.herokuapp.com/login')
+      cy.visitSite('herokuapp', '/login')
     })
     
     it('TC01: Successful login with valid credentials', () => {
@@ -87,7 +88,7 @@ describe('Scalable Login Test Suite', () => {
   describe('Section 2: Page Object Model Approach', () => {
     
     beforeEach(() => {
-      LoginPage.visitWithBaseUrl('https://the-internet.herokuapp.com', '/login')
+      LoginPage.visitWithBaseUrl(siteUrl('herokuapp'), '/login')
       LoginPage.waitForPageLoad()
     })
     
@@ -130,7 +131,7 @@ describe('Scalable Login Test Suite', () => {
   describe('Section 3: Fixture-Driven Tests', () => {
     
     beforeEach(() => {
-      cy.visit('https://the-internet.herokuapp.com/login')
+      cy.visitSite('herokuapp', '/login')
     })
     
     it('TC08: Login using fixture data (validUser)', () => {
@@ -210,7 +211,7 @@ describe('Scalable Login Test Suite', () => {
       cy.log('3. Benefit: Much faster test suites')
       
       // Demo: Normal login (session would cache this)
-      cy.visit('https://the-internet.herokuapp.com/login')
+      cy.visitSite('herokuapp', '/login')
       cy.get('#username').type('tomsmith')
       cy.get('#password').type('SuperSecretPassword!')
       cy.get('button[type="submit"]').click()
@@ -259,7 +260,7 @@ describe('Scalable Login Test Suite', () => {
       cy.logoutFromHerokuApp()
       
       // Try to access secure page
-      cy.visit('https://the-internet.herokuapp.com/secure', { failOnStatusCode: false })
+      cy.visitSite('herokuapp', '/secure', { failOnStatusCode: false })
       
       // Should be redirected to login
       cy.url().should('include', '/login')
@@ -287,7 +288,7 @@ describe('Scalable Login Test Suite', () => {
     
     positiveScenarios.forEach((scenario) => {
       it('TC19-P: Positive Test - ' + scenario.description, () => {
-        cy.visit('https://the-internet.herokuapp.com/login')
+        cy.visitSite('herokuapp', '/login')
         cy.get('#username').type(scenario.username)
         cy.get('#password').type(scenario.password)
         cy.get('button[type="submit"]').click()
@@ -298,7 +299,7 @@ describe('Scalable Login Test Suite', () => {
     
     negativeScenarios.forEach((scenario, index) => {
       it('TC20-N' + (index + 1) + ': Negative Test - ' + scenario.description, () => {
-        cy.visit('https://the-internet.herokuapp.com/login')
+        cy.visitSite('herokuapp', '/login')
         
         if (scenario.username) {
           cy.get('#username').type(scenario.username)
@@ -323,14 +324,14 @@ describe('Scalable Login Test Suite', () => {
   describe('Section 8: Security Tests', () => {
     
     it('TC21: Password field should mask input', () => {
-      cy.visit('https://the-internet.herokuapp.com/login')
+      cy.visitSite('herokuapp', '/login')
       
       cy.get('#password')
         .should('have.attr', 'type', 'password')
     })
     
     it('TC22: SQL Injection attempt should fail', () => {
-      cy.visit('https://the-internet.herokuapp.com/login')
+      cy.visitSite('herokuapp', '/login')
       
       // Try SQL injection
       cy.get('#username').type("' OR '1'='1")
@@ -343,7 +344,7 @@ describe('Scalable Login Test Suite', () => {
     })
     
     it('TC23: XSS attempt should be handled', () => {
-      cy.visit('https://the-internet.herokuapp.com/login')
+      cy.visitSite('herokuapp', '/login')
       
       // Try XSS attack
       cy.get('#username').type('<script>alert("XSS")</script>')
@@ -363,7 +364,7 @@ describe('Scalable Login Test Suite', () => {
   describe('Section 9: Accessibility Tests', () => {
     
     beforeEach(() => {
-      cy.visit('https://the-internet.herokuapp.com/login')
+      cy.visitSite('herokuapp', '/login')
     })
     
     it('TC24: Login form has proper labels', () => {
@@ -398,7 +399,7 @@ describe('Scalable Login Test Suite', () => {
     it('TC27: Login page loads within acceptable time', () => {
       const startTime = Date.now()
       
-      cy.visit('https://the-internet.herokuapp.com/login')
+      cy.visitSite('herokuapp', '/login')
       
       cy.get('#username').should('be.visible').then(() => {
         const loadTime = Date.now() - startTime
@@ -410,7 +411,7 @@ describe('Scalable Login Test Suite', () => {
     })
     
     it('TC28: Login action completes within acceptable time', () => {
-      cy.visit('https://the-internet.herokuapp.com/login')
+      cy.visitSite('herokuapp', '/login')
       
       const startTime = Date.now()
       
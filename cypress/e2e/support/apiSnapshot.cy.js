@@ -0,0 +1,37 @@
+/*
+ * apiSnapshot.js - Snapshot Comparison
+ * ====================================
+ *
+ * cy.matchApiSnapshot() leaves ignored fields out with redact() and
+ * lists what changed with diffSnapshot() (cypress/support/apiSnapshot.js).
+ * These tests compare fixed values - no snapshot file is read or written.
+ */
+
+import { redact, diffSnapshot, IGNORED } from '../../support/apiSnapshot'
+
+describe('API snapshots', () => {
+
+  it('lists every difference by JSON path', () => {
+    const ignore = ['$.updatedAt']
+    const stored = redact({ title: 'Snapshot', tags: ['a', 'b'], updatedAt: 1 }, ignore)
+    const actual = redact({ title: 'Changed', tags: ['a'], updatedAt: 2, extra: true }, ignore)
+
+    expect(stored.updatedAt).to.eq(IGNORED)
+    expect(diffSnapshot(stored, actual)).to.deep.eq([
+      '$.title: expected "Snapshot", got "Changed"',
+      '$.tags[1]: missing (expected "b")',
+      '$.extra: unexpected true'
+    ])
+    expect(diffSnapshot(stored, redact({ title: 'Snapshot', tags: ['a', 'b'], updatedAt: 3 }, ignore))).to.be.empty
+  })
+
+  it('ignores a field in every item and at any depth', () => {
+    const body = { data: [{ id: 1, name: 'a' }, { id: 2, name: 'b' }], meta: { page: { createdAt: 't' } } }
+
+    expect(redact(body, ['$.data[*].id', '$..createdAt'])).to.deep.eq({
+      data: [{ id: IGNORED, name: 'a' }, { id: IGNORED, name: 'b' }],
+      meta: { page: { createdAt: IGNORED } }
+    })
+    expect(() => redact(body, ['data.id'])).to.throw('start with "$"')
+  })
+})
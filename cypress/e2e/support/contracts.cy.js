@@ -0,0 +1,60 @@
+/*
+ * contracts.js - OpenAPI Contract Checks
+ * ======================================
+ *
+ * Every call to a site with an OpenAPI contract is checked against it
+ * (cypress/support/contractCheck.js) and counted for the coverage report
+ * (cypress/plugins/contractCoverage.js). These tests use the checker and
+ * the coverage builder directly with the JSONPlaceholder contract - no
+ * site or stand-in is needed.
+ */
+
+import { inspectExchange } from '../../support/contracts'
+import { buildCoverage } from '../../plugins/contractCoverage'
+
+describe('OpenAPI contracts', () => {
+
+  const sites = { jsonPlaceholder: 'https://jsonplaceholder.typicode.com' }
+  const post = { userId: 1, id: 1, title: 'title', body: 'body' }
+  let contracts
+
+  before(() => {
+    cy.readFile('cypress/contracts/jsonplaceholder.openapi.json').then((doc) => {
+      contracts = { jsonPlaceholder: doc }
+    })
+  })
+
+  const inspect = (method, path, status, responseBody) => {
+    return inspectExchange(contracts, sites, { method, url: sites.jsonPlaceholder + path, status, responseBody })
+  }
+
+  it('passes a documented status with a matching body', () => {
+    const result = inspect('GET', '/posts/1', 200, post)
+
+    expect(result.violations).to.deep.eq([])
+    expect(result.hit).to.deep.eq({ site: 'jsonPlaceholder', method: 'GET', path: '/posts/{id}', status: 200, documented: true })
+  })
+
+  it('reports an undocumented status and a body that breaks the schema', () => {
+    expect(inspect('GET', '/posts/1', 500, {}).violations).to.deep.eq([
+      'GET /posts/{id}: status 500 is not documented (documented: 200, 404)'
+    ])
+    expect(inspect('GET', '/posts/1', 200, { ...post, id: '1' }).violations).to.deep.eq([
+      'GET /posts/{id} 200 response body $.id: expected integer, got string'
+    ])
+  })
+
+  it('records coverage per documented status', () => {
+    const hits = [
+      inspect('GET', '/posts/1', 200, post).hit,
+      inspect('GET', '/posts/2', 200, post).hit,
+      inspect('GET', '/albums/1', 200, {}).hit
+    ]
+    const coverage = buildCoverage(contracts, hits).jsonPlaceholder
+    const getPost = coverage.operations.find((op) => op.method === 'GET' && op.path === '/posts/{id}')
+
+    expect(getPost.statuses).to.deep.eq({ 200: 2, 404: 0 })
+    expect(coverage.covered).to.eq(1)
+    expect(coverage.undocumented).to.deep.eq(['GET /albums/1 -> 200'])
+  })
+})
@@ -0,0 +1,53 @@
+/*
+ * curlCommand.js - Reproducing Calls with cURL
+ * ============================================
+ *
+ * A failing test gets its failing call as a cURL command in the report,
+ * and --env curlExport=true saves a spec's calls as a shell script
+ * (cypress/support/curlCommand.js, curlScript.js). Secrets become
+ * environment variables. These tests render fixed calls - nothing is sent.
+ */
+
+import { renderCurl } from '../../support/curlCommand'
+import { toScript } from '../../support/curlScript'
+
+describe('cURL commands', () => {
+
+  it('reproduces a call with cURL without its secrets', () => {
+    // A failing test gets its failing call as a cURL command in the report (networkLedger.js)
+    const login = renderCurl({
+      method: 'POST',
+      url: 'https://reqres.in/api/login?api_key=abc',
+      qs: { page: 2 },
+      headers: { Authorization: 'Bearer xyz' },
+      body: '{"email":"eve.holt@reqres.in","password":"cityslicka"}'
+    })
+    expect(login.command).to.eq([
+      `curl -i -X POST 'https://reqres.in/api/login?api_key='"$API_KEY"'&page=2' \\`,
+      `  -H 'Authorization: Bearer '"$API_TOKEN" \\`,
+      `  --data '{"email":"eve.holt@reqres.in","password":"'"$API_PASSWORD"'"}'`
+    ].join('\n'))
+    expect(login.env).to.deep.eq(['API_KEY', 'API_TOKEN', 'API_PASSWORD'])
+
+    const form = renderCurl({ method: 'POST', url: 'https://reqres.in/api/login', body: 'email=eve%40reqres.in&password=cityslicka' })
+    expect(form.command).to.include(`--data 'email=eve%40reqres.in&password='"$API_PASSWORD"`)
+    expect(form.command).not.to.include('cityslicka')
+  })
+
+  it('saves the cURL commands of a spec as a shell script', () => {
+    // What --env curlExport=true writes to cypress/reports/curl (curlExport.js)
+    const users = { test: 'API > users', method: 'GET', url: 'https://reqres.in/api/users?api_key=[redacted]', status: 200 }
+    const login = { test: 'API > login', method: 'POST', url: 'https://reqres.in/api/login', status: 400, error: '400: Bad Request' }
+    users.curl = renderCurl({ url: 'https://reqres.in/api/users', qs: { api_key: 'abc' } })
+    login.curl = renderCurl({ method: 'POST', url: login.url, body: { email: 'eve.holt@reqres.in', password: 'cityslicka' } })
+
+    const lines = toScript('cypress/e2e/Day3/apitestingusingcypress.cy.js', [users, login], 'offline').split('\n')
+    expect(lines[0]).to.eq('#!/bin/sh')
+    expect(lines[1]).to.eq('# API calls of cypress/e2e/Day3/apitestingusingcypress.cy.js (profile: offline)')
+    expect(lines).to.include(': "${API_KEY:?export API_KEY first}"')
+    expect(lines).to.include(': "${API_PASSWORD:?export API_PASSWORD first}"')
+    expect(lines).to.include('# API > login')
+    expect(lines).to.include('# POST https://reqres.in/api/login -> failed (400: Bad Request) in the run')
+    expect(lines.join('\n')).not.to.match(/abc|cityslicka/)
+  })
+})
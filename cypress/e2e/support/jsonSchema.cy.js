@@ -0,0 +1,43 @@
+/*
+ * jsonSchema.js - JSON Schema Validation
+ * ======================================
+ *
+ * cy.validateJsonSchema() checks responses against the schemas in
+ * cypress/fixtures/schemas (see cypress/support/jsonSchema.js). These
+ * tests call the validator directly, so no site or stand-in is needed.
+ */
+
+import { validateJsonSchema, formatSchemaErrors } from '../../support/jsonSchema'
+
+describe('JSON Schema validation', () => {
+
+  it('reports the JSON path of each violation', () => {
+    const schema = {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'email'],
+        properties: { id: { type: 'integer' }, email: { type: 'string', format: 'email' } }
+      }
+    }
+
+    const errors = validateJsonSchema(schema, [
+      { id: 1, email: 'ok@example.com' },
+      { id: 2, email: 'not-an-email' },
+      { id: '3', email: 'ok@example.com' }
+    ])
+
+    expect(formatSchemaErrors(errors)).to.deep.eq([
+      '$[1].email: must be a valid email, got "not-an-email"',
+      '$[2].id: expected integer, got string'
+    ])
+  })
+
+  it('accepts decimal multiples despite floating point rounding', () => {
+    const price = { type: 'number', multipleOf: 0.1 }
+
+    expect(validateJsonSchema(price, 0.3)).to.deep.eq([])
+    expect(validateJsonSchema(price, 19.9)).to.deep.eq([])
+    expect(formatSchemaErrors(validateJsonSchema(price, 0.35))).to.deep.eq(['$: must be a multiple of 0.1'])
+  })
+})
@@ -0,0 +1,47 @@
+/*
+ * latency.js - Response Time Budgets and Statistics
+ * =================================================
+ *
+ * cy.measureLatency() and the run summary report min/median/p95/max per
+ * endpoint (cypress/support/latencyStats.js), and every call is held to
+ * the most specific budget in envconfig.js (cypress/support/latency.js).
+ * These tests use fixed numbers - no site or stand-in is needed.
+ */
+
+import { locateSite, endpointKey, findBudget } from '../../support/latency'
+import { latencyStats } from '../../support/latencyStats'
+
+describe('Response time budgets', () => {
+
+  it('summarizes durations with nearest-rank percentiles', () => {
+    const durations = Array.from({ length: 20 }, (_, index) => (20 - index) * 10)
+
+    expect(latencyStats(durations)).to.deep.eq({ count: 20, min: 10, median: 100, p95: 190, max: 200 })
+    expect(latencyStats([120, 80, 300, 95, 110])).to.deep.eq({ count: 5, min: 80, median: 110, p95: 300, max: 300 })
+    expect(latencyStats([])).to.deep.eq({ count: 0, min: null, median: null, p95: null, max: null })
+  })
+
+  it('groups calls by site, method and path with ids collapsed', () => {
+    const sites = { reqres: 'https://reqres.in/api', herokuapp: 'https://reqres.in' }
+
+    expect(locateSite(sites, 'https://reqres.in/api/users/2?delay=1')).to.deep.eq({ site: 'reqres', path: '/users/2' })
+    expect(locateSite(sites, 'https://example.com/users')).to.eq(null)
+    expect(endpointKey('reqres', 'get', '/users/2')).to.eq('reqres GET /users/{id}')
+  })
+
+  it('picks the most specific budget', () => {
+    const latency = {
+      defaultBudgetMs: 3000,
+      budgets: {
+        jsonPlaceholder: 2000,
+        'jsonPlaceholder GET': 1500,
+        'jsonPlaceholder GET /posts/*': 1000
+      }
+    }
+
+    expect(findBudget(latency, 'jsonPlaceholder', 'GET', '/posts/1')).to.deep.eq({ budgetMs: 1000, rule: 'jsonPlaceholder GET /posts/*' })
+    expect(findBudget(latency, 'jsonPlaceholder', 'GET', '/users')).to.deep.eq({ budgetMs: 1500, rule: 'jsonPlaceholder GET' })
+    expect(findBudget(latency, 'jsonPlaceholder', 'POST', '/posts')).to.deep.eq({ budgetMs: 2000, rule: 'jsonPlaceholder' })
+    expect(findBudget(latency, 'reqres', 'GET', '/users')).to.deep.eq({ budgetMs: 3000, rule: 'default' })
+  })
+})
@@ -0,0 +1,46 @@
+/*
+ * ledgerEntries.js - Redacting and Formatting Network Ledger Entries
+ * ==================================================================
+ *
+ * Every request is written to a ledger for the mochawesome report and the
+ * HAR file (cypress/support/networkLedger.js). These tests cover the pure
+ * helpers behind it - no site or stand-in is needed.
+ */
+
+import { redactBody, redactUrl, failEntry, formatLedger } from '../../support/ledgerEntries'
+import { fullUrl } from '../../support/curlCommand'
+
+describe('Network ledger entries', () => {
+
+  it('keeps credentials out of the network ledger', () => {
+    expect(redactBody({ email: 'eve.holt@reqres.in', password: 'cityslicka' }))
+      .to.deep.eq({ email: 'eve.holt@reqres.in', password: '[redacted]' })
+    expect(redactBody('{"user":{"name":"eve","apiToken":"abc"}}')).to.eq('{"user":{"name":"eve","apiToken":"[redacted]"}}')
+    expect(redactBody('email=eve%40reqres.in&password=cityslicka')).to.eq('email=eve%40reqres.in&password=[redacted]')
+    expect(redactBody('plain text')).to.eq('plain text')
+    expect(redactUrl('https://reqres.in/api/users?api_key=abc&page=2#top')).to.eq('https://reqres.in/api/users?api_key=[redacted]&page=2#top')
+  })
+
+  it('records why a cy.request failed in the ledger', () => {
+    const startedAt = new Date().toISOString()
+    const rejected = failEntry({ source: 'cy.request', method: 'GET', url: 'https://reqres.in/api/users/999', startedAt, status: null },
+      'cy.request() failed on:\n\nhttps://reqres.in/api/users/999\n\nThe response we received from your web server was:\n\n  > 404: Not Found\n')
+    const unreachable = failEntry({ source: 'cy.request', method: 'GET', url: 'https://unreachable.invalid/', startedAt, status: null },
+      'cy.request() failed trying to load:\n\nhttps://unreachable.invalid/\n\nWe received this error at the network level:\n\n  > Error: getaddrinfo ENOTFOUND unreachable.invalid\n')
+
+    expect(rejected.status).to.eq(404)
+    expect(unreachable.status).to.eq(null)
+    expect(formatLedger([rejected, unreachable])).to.deep.eq([
+      '[cy.request] GET https://reqres.in/api/users/999 -> failed (404: Not Found)',
+      '[cy.request] GET https://unreachable.invalid/ -> failed (Error: getaddrinfo ENOTFOUND unreachable.invalid)'
+    ])
+  })
+
+  it('shows cy.request qs in the URL, with secret parameters redacted', () => {
+    // networkLedger.js records fullUrl(url, qs), the URL the cURL command uses
+    expect(redactUrl(fullUrl('https://reqres.in/api/users', { page: 2, api_key: 'abc' })))
+      .to.eq('https://reqres.in/api/users?page=2&api_key=[redacted]')
+    expect(fullUrl('https://reqres.in/api/users?page=2', { per_page: [3, 6] }))
+      .to.eq('https://reqres.in/api/users?page=2&per_page=3&per_page=6')
+  })
+})
@@ -0,0 +1,65 @@
+/*
+ * pagination.js - Walking Paged Lists
+ * ===================================
+ *
+ * cy.apiPaginate() reads each page with the helpers in
+ * cypress/support/pagination.js and checks the walked pages for
+ * duplicates, moving totals and broken Link headers. These tests feed
+ * them fixed pages - no site or stand-in is needed.
+ */
+
+import { parseLinkHeader, paginationSettings, nextPageRequest, checkPagination } from '../../support/pagination'
+
+function page(ids, extra = {}) {
+  return { items: ids.map((id) => ({ id })), total: null, totalPages: null, links: {}, cursor: null, ...extra }
+}
+
+describe('Pagination', () => {
+
+  it('reads every rel of a Link header', () => {
+    const header = '<https://x.test/posts?_page=2>; rel="next", <https://x.test/posts?_page=1>; rel="prev first", <https://x.test/posts?_page=5>; rel=last'
+
+    expect(parseLinkHeader(header)).to.deep.eq({
+      next: 'https://x.test/posts?_page=2',
+      prev: 'https://x.test/posts?_page=1',
+      first: 'https://x.test/posts?_page=1',
+      last: 'https://x.test/posts?_page=5'
+    })
+    expect(parseLinkHeader(undefined)).to.deep.eq({})
+  })
+
+  it('stops at a short page and keeps the filters on the next one', () => {
+    const settings = paginationSettings({ strategy: 'offset', pageSize: 2, qs: { userId: 1 } })
+    const request = { url: '/posts', qs: { userId: 1, _start: 0, _limit: 2 } }
+
+    expect(nextPageRequest(settings, request, page([1, 2]), [])).to.deep.eq({ url: '/posts', qs: { userId: 1, _start: 2, _limit: 2 } })
+    expect(nextPageRequest(settings, request, page([1]), [])).to.eq(null)
+    expect(() => paginationSettings({ strategy: 'scroll' })).to.throw('unknown strategy "scroll"')
+  })
+
+  it('refuses a cursor that was already returned', () => {
+    const settings = paginationSettings({ strategy: 'cursor' })
+    const pages = [page([1], { cursor: 'abc' }), page([2], { cursor: 'abc' })]
+
+    expect(() => nextPageRequest(settings, { url: '/items', qs: {} }, pages[1], pages)).to.throw('cursor "abc" was returned twice')
+  })
+
+  it('reports duplicates, moving totals and broken links', () => {
+    const settings = paginationSettings({ strategy: 'link-header' })
+
+    expect(checkPagination([
+      page([1, 2], { total: 4, links: { next: '/p2' } }),
+      page([3, 4], { total: 4, links: { prev: '/p1' } })
+    ], settings)).to.deep.eq([])
+
+    expect(checkPagination([
+      page([1, 2], { total: 4, links: { next: '/p2' } }),
+      page([2, 3], { total: 5, links: { next: '/p3' } })
+    ], settings)).to.deep.eq([
+      'id 2 is on page 1 and again on page 2',
+      'total count changed between pages: 4 -> 5',
+      'page 2 is the last one but its Link header has rel="next"',
+      'page 2 has no rel="prev" link'
+    ])
+  })
+})
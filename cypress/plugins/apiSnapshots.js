@@ -0,0 +1,90 @@
+/*
+ * apiSnapshots.js - Store API response snapshots
+ * ==============================================
+ *
+ * File side of cy.matchApiSnapshot(). Snapshots are kept per environment
+ * profile and spec:
+ *
+ *   cypress/snapshots/<profile>/<spec path>/<name>.json
+ *
+ * Profiles answer from different data - offline gets the stand-in seed,
+ * the others the public sites - so each one compares against its own.
+ * Only the offline baselines are committed; .gitignore keeps the other
+ * profiles' snapshots local. A local run writes a missing snapshot, later
+ * runs compare against it. On CI (CI is set) a missing snapshot fails
+ * the test instead - a run that writes its own baseline proves nothing.
+ * To accept intended changes, or record baselines on CI, run with
+ *
+ *   npx cypress run --env updateSnapshots=true
+ *
+ * Snapshots written or updated during the run are listed at the end.
+ */
+const fs = require('fs')
+const path = require('path')
+
+// ('offline', Day3/apitestingusingcypress.cy.js, 'user 1')
+//   -> cypress/snapshots/offline/Day3/apitestingusingcypress.cy/user-1.json
+function snapshotPath(projectRoot, profile, specRelative, name) {
+  if (!profile) {
+    throw new Error('matchApiSnapshot needs the environment profile (Cypress.env("environment"))')
+  }
+  const specPath = specRelative.replace(/\\/g, '/').replace(/^cypress\/e2e\//, '').replace(/\.[jt]sx?$/, '')
+  const fileName = String(name).trim().replace(/[^\w.-]+/g, '-')
+  if (!fileName) {
+    throw new Error('matchApiSnapshot needs a snapshot name')
+  }
+  return path.join(projectRoot, 'cypress', 'snapshots', String(profile), specPath, fileName + '.json')
+}
+
+// CI=true, CI=1 - not unset, empty or "false"
+function runningOnCi() {
+  return Boolean(process.env.CI) && process.env.CI !== 'false'
+}
+
+function registerApiSnapshots(on, config) {
+  const projectRoot = config.projectRoot || process.cwd()
+  const written = []
+
+  on('task', {
+    // The stored snapshot, or null when there is none yet
+    readApiSnapshot({ profile, spec, name }) {
+      const filePath = snapshotPath(projectRoot, profile, spec, name)
+      if (!fs.existsSync(filePath)) {
+        return null
+      }
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    },
+
+    // Create or replace a snapshot - never a missing baseline on CI
+    // unless the run asked for updateSnapshots
+    writeApiSnapshot({ profile, spec, name, ignore, value, update }) {
+      const filePath = snapshotPath(projectRoot, profile, spec, name)
+      const existed = fs.existsSync(filePath)
+      if (!existed && !update && runningOnCi()) {
+        throw new Error(
+          'No snapshot "' + name + '" for the ' + profile + ' profile (' + path.relative(projectRoot, filePath) + '). ' +
+          'CI does not write baselines - record it locally and commit it, or run with --env updateSnapshots=true.'
+        )
+      }
+      fs.mkdirSync(path.dirname(filePath), { recursive: true })
+      fs.writeFileSync(filePath, JSON.stringify({ name, ignore, value }, null, 2) + '\n')
+      written.push({ file: path.relative(projectRoot, filePath), action: existed ? 'updated' : 'written' })
+      return null
+    }
+  })
+
+  on('after:run', () => {
+    if (written.length === 0) {
+      return
+    }
+
+    console.log('')
+    console.log(written.length + ' API snapshot(s) saved - review and commit them:')
+    written.forEach((entry) => console.log('  ' + entry.action.padEnd(8) + entry.file))
+    console.log('')
+  })
+}
+
+module.exports = {
+  registerApiSnapshots
+}
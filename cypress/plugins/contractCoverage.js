@@ -0,0 +1,52 @@
+/*
+ * contractCoverage.js - Which documented responses the suite exercised
+ * ====================================================================
+ *
+ * cypress/support/contractCheck.js records a hit for every call a
+ * contract covers (see inspectExchange in cypress/support/contracts.js);
+ * contracts.js in this folder turns the hits of the whole run into the
+ * coverage report with buildCoverage(). Kept apart from it because it
+ * reads no files, so cypress/e2e/support/contracts.cy.js can load it too.
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace']
+
+// Every documented operation + status, with the number of calls that hit it
+function buildCoverage(contracts, hits) {
+  const coverage = {}
+
+  Object.entries(contracts).forEach(([site, doc]) => {
+    const operations = []
+
+    Object.entries(doc.paths).forEach(([template, pathItem]) => {
+      HTTP_METHODS.filter((method) => pathItem[method]).forEach((method) => {
+        const upper = method.toUpperCase()
+        const statuses = {}
+        Object.keys(pathItem[method].responses || {}).forEach((status) => {
+          statuses[status] = hits.filter((hit) => hit.site === site && hit.documented &&
+            hit.method === upper && hit.path === template &&
+            (String(hit.status) === status || String(hit.status)[0] + 'XX' === status)).length
+        })
+        operations.push({ method: upper, path: template, statuses })
+      })
+    })
+
+    const total = operations.reduce((sum, op) => sum + Object.keys(op.statuses).length, 0)
+    const covered = operations.reduce((sum, op) => sum + Object.values(op.statuses).filter((count) => count > 0).length, 0)
+    const undocumented = hits.filter((hit) => hit.site === site && !hit.documented)
+      .map((hit) => hit.method + ' ' + hit.path + ' -> ' + hit.status)
+
+    coverage[site] = {
+      covered,
+      total,
+      operations,
+      undocumented: Array.from(new Set(undocumented))
+    }
+  })
+
+  return coverage
+}
+
+module.exports = {
+  buildCoverage
+}
@@ -0,0 +1,97 @@
+/*
+ * contracts.js - Load OpenAPI contracts and report their coverage
+ * ===============================================================
+ *
+ * Each profile in envconfig.js binds OpenAPI 3 documents (JSON) to sites:
+ *
+ *   contracts: {
+ *     onViolation: 'warn',
+ *     specs: { jsonPlaceholder: 'cypress/contracts/jsonplaceholder.openapi.json' }
+ *   }
+ *
+ * The documents are read once when Cypress starts - a missing or invalid
+ * file stops the run - and handed to cypress/support/contractCheck.js via
+ * the 'getContracts' task.
+ *
+ * At the end of the run every documented operation and status code is
+ * listed with how often the suite exercised it, in the terminal and in
+ * cypress/reports/contract-coverage.json. Calls to paths the contract
+ * doesn't describe are listed as undocumented.
+ */
+const fs = require('fs')
+const path = require('path')
+const { buildCoverage } = require('./contractCoverage')
+
+function loadContract(projectRoot, site, file) {
+  const filePath = path.resolve(projectRoot, file)
+  if (!fs.existsSync(filePath)) {
+    throw new Error('OpenAPI contract for "' + site + '" not found: ' + file)
+  }
+
+  let doc
+  try {
+    doc = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch (err) {
+    throw new Error('OpenAPI contract ' + file + ' is not valid JSON: ' + err.message)
+  }
+
+  if (!/^3\./.test(String(doc.openapi)) || !doc.paths) {
+    throw new Error('OpenAPI contract ' + file + ' must be an OpenAPI 3 document with "paths"')
+  }
+  return doc
+}
+
+function registerContracts(on, config) {
+  const projectRoot = config.projectRoot || process.cwd()
+  const settings = config.env.contracts || {}
+  const contracts = {}
+  const hits = []
+
+  if (!settings.onViolation || settings.onViolation === 'off') {
+    return
+  }
+
+  Object.entries(settings.specs || {}).forEach(([site, file]) => {
+    contracts[site] = loadContract(projectRoot, site, file)
+  })
+
+  on('task', {
+    getContracts() {
+      return contracts
+    },
+
+    // Calls checked in one spec
+    recordContractCoverage(entries) {
+      hits.push(...entries)
+      return null
+    }
+  })
+
+  on('after:run', () => {
+    const coverage = buildCoverage(contracts, hits)
+    const reportPath = path.join(projectRoot, 'cypress', 'reports', 'contract-coverage.json')
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true })
+    fs.writeFileSync(reportPath, JSON.stringify({ environment: config.env.environment, coverage }, null, 2))
+
+    console.log('')
+    console.log('API contract coverage (profile: ' + config.env.environment + ')')
+    Object.entries(coverage).forEach(([site, result]) => {
+      const percent = result.total === 0 ? 0 : Math.round((result.covered / result.total) * 100)
+      console.log('  ' + site + ': ' + result.covered + '/' + result.total + ' documented responses exercised (' + percent + '%)')
+      result.operations.forEach((op) => {
+        const statuses = Object.entries(op.statuses)
+          .map(([status, count]) => (count > 0 ? '[x] ' : '[ ] ') + status)
+          .join('  ')
+        console.log('    ' + op.method.padEnd(7) + op.path.padEnd(28) + statuses)
+      })
+      result.undocumented.forEach((call) => console.log('    undocumented: ' + call))
+    })
+    console.log('  Report: ' + reportPath)
+    console.log('')
+  })
+}
+
+module.exports = {
+  loadContract,
+  registerContracts
+}
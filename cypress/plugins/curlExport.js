@@ -0,0 +1,43 @@
+/*
+ * curlExport.js - Save a spec's API calls as a shell script of cURL commands
+ * ==========================================================================
+ *
+ * cypress/support/networkLedger.js renders every cy.request() call as a
+ * cURL command and, when Cypress.env('curlExport') is true, builds a
+ * script of them at the end of each spec (cypress/support/curlScript.js)
+ * and sends it to the 'saveCurlScript' task:
+ *
+ *   cypress/e2e/Day3/apitestingusingcypress.cy.js
+ *     -> cypress/reports/curl/Day3/apitestingusingcypress.cy.sh
+ *
+ * Secrets are not in the file - export the variables listed at its top
+ * before running it.
+ *
+ * Usage:
+ *   npx cypress run --env curlExport=true
+ */
+const fs = require('fs')
+const path = require('path')
+
+function curlScriptPath(projectRoot, specRelative) {
+  const specPath = specRelative.replace(/\\/g, '/').replace(/^cypress\/e2e\//, '')
+  return path.join(projectRoot, 'cypress', 'reports', 'curl', specPath.replace(/\.[jt]sx?$/, '') + '.sh')
+}
+
+function registerCurlExport(on, config) {
+  const projectRoot = config.projectRoot || process.cwd()
+
+  on('task', {
+    saveCurlScript({ spec, script, count }) {
+      const filePath = curlScriptPath(projectRoot, spec)
+      fs.mkdirSync(path.dirname(filePath), { recursive: true })
+      fs.writeFileSync(filePath, script, { mode: 0o755 })
+      console.log('cURL: ' + count + ' request(s) -> ' + path.relative(projectRoot, filePath))
+      return null
+    }
+  })
+}
+
+module.exports = {
+  registerCurlExport
+}
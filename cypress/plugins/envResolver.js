@@ -0,0 +1,206 @@
+/*
+ * envResolver.js - Layered Environment Variable Resolution
+ * =========================================================
+ *
+ * Builds the final Cypress.env() values from several layers and records
+ * where each value came from. Later layers win:
+ *
+ *   1. profile          - env block built from envconfig.js
+ *   2. .env.<profile>   - KEY=VALUE file in the project root (gitignored)
+ *   3. cypress.env.json - JSON file in the project root (gitignored)
+ *   4. CYPRESS_* vars   - system variables, e.g. CYPRESS_password=secret
+ *   5. --env            - CLI flag, e.g. --env username=me
+ *
+ * The provenance table is printed to the terminal when Cypress starts and
+ * is also stored in Cypress.env('envSources') for cy.envInfo().
+ */
+const fs = require('fs')
+const path = require('path')
+const { SECRET_KEY_PATTERN } = require('../support/secretKeys')
+
+// Labels used in the provenance table
+const SOURCES = {
+  profile: 'profile',
+  envJson: 'cypress.env.json',
+  processVar: 'CYPRESS_* var',
+  cli: '--env'
+}
+
+// CYPRESS_* variables that configure the Cypress binary, not the tests
+const BINARY_SETTINGS = [
+  'INSTALL_BINARY', 'RUN_BINARY', 'CACHE_FOLDER', 'DOWNLOAD_MIRROR',
+  'DOWNLOAD_PATH_TEMPLATE', 'SKIP_BINARY_INSTALL', 'VERIFY_TIMEOUT',
+  'RECORD_KEY', 'CRASH_REPORTS', 'COMMERCIAL_RECOMMENDATIONS'
+]
+
+/*
+ * coerce - Read a text value as the type of the key's profile default
+ *
+ * Only keys whose default is a boolean, number or object are converted,
+ * so a password or PIN such as "0123" is never turned into 123. Text
+ * that does not fit the default's type is kept as text.
+ */
+function coerce(value, defaultValue) {
+  const text = String(value).trim()
+
+  if (typeof defaultValue === 'boolean' && (text === 'true' || text === 'false')) {
+    return text === 'true'
+  }
+  if (typeof defaultValue === 'number' && text !== '' && !isNaN(Number(text))) {
+    return Number(text)
+  }
+  if (defaultValue !== null && typeof defaultValue === 'object' && /^[[{]/.test(text)) {
+    try {
+      return JSON.parse(text)
+    } catch (err) {
+      return text
+    }
+  }
+  return text
+}
+
+// Parse a .env file: KEY=VALUE per line, # comments, optional quotes
+function parseDotEnv(content, defaults = {}) {
+  const values = {}
+
+  content.split(/\r?\n/).forEach((line) => {
+    const trimmed = line.trim()
+    if (!trimmed || trimmed.startsWith('#')) {
+      return
+    }
+
+    const match = trimmed.match(/^(?:export\s+)?([\w.-]+)\s*=\s*(.*)$/)
+    if (!match) {
+      return
+    }
+
+    const value = match[2]
+    const quoted = value.match(/^(['"])(.*)\1$/)
+    values[match[1]] = quoted ? quoted[2] : coerce(value, defaults[match[1]])
+  })
+
+  return values
+}
+
+function readDotEnv(projectRoot, profileName, defaults) {
+  const filePath = path.join(projectRoot, '.env.' + profileName)
+  if (!fs.existsSync(filePath)) {
+    return {}
+  }
+  return parseDotEnv(fs.readFileSync(filePath, 'utf8'), defaults)
+}
+
+function readEnvJson(projectRoot) {
+  const filePath = path.join(projectRoot, 'cypress.env.json')
+  if (!fs.existsSync(filePath)) {
+    return {}
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch (err) {
+    throw new Error('cypress.env.json is not valid JSON: ' + err.message)
+  }
+}
+
+// CYPRESS_FOO_BAR -> fooBar, used to tell config options from env values
+function toCamelCase(name) {
+  return name.toLowerCase().replace(/_([a-z])/g, (m, letter) => letter.toUpperCase())
+}
+
+// CYPRESS_* system variables that Cypress exposes through Cypress.env()
+function readProcessVars(config, processEnv, defaults = {}) {
+  const values = {}
+
+  Object.keys(processEnv).forEach((name) => {
+    if (!/^CYPRESS_/i.test(name)) {
+      return
+    }
+
+    const key = name.slice('CYPRESS_'.length)
+    if (BINARY_SETTINGS.includes(key.toUpperCase()) || config[toCamelCase(key)] !== undefined) {
+      return
+    }
+    values[key] = coerce(processEnv[name], defaults[key])
+  })
+
+  return values
+}
+
+// --env values, as reported by Cypress in config.resolved
+function readCliValues(config) {
+  const resolved = (config.resolved && config.resolved.env) || {}
+  const values = {}
+
+  Object.keys(resolved).forEach((key) => {
+    if (resolved[key] && resolved[key].from === 'cli') {
+      values[key] = config.env[key]
+    }
+  })
+
+  return values
+}
+
+/*
+ * resolveEnv - Merge all layers and record the source of every key
+ *
+ * Parameters:
+ *   config      - Cypress config object from setupNodeEvents
+ *   profileEnv  - Env block built from the envconfig.js profile
+ *   profileName - Profile name, selects the .env.<profile> file
+ *
+ * Returns: { env, sources } where sources maps key -> layer label
+ */
+function resolveEnv(config, profileEnv, profileName, processEnv = process.env) {
+  const projectRoot = config.projectRoot || process.cwd()
+  const layers = [
+    [SOURCES.profile, profileEnv],
+    ['.env.' + profileName, readDotEnv(projectRoot, profileName, profileEnv)],
+    [SOURCES.envJson, readEnvJson(projectRoot)],
+    [SOURCES.processVar, readProcessVars(config, processEnv, profileEnv)],
+    [SOURCES.cli, readCliValues(config)]
+  ]
+
+  const env = {}
+  const sources = {}
+
+  layers.forEach(([source, values]) => {
+    Object.entries(values).forEach(([key, value]) => {
+      env[key] = value
+      sources[key] = source
+    })
+  })
+
+  return { env, sources }
+}
+
+function formatValue(key, value) {
+  if (SECRET_KEY_PATTERN.test(key)) {
+    return '********'
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value)
+  return text.length > 50 ? text.slice(0, 47) + '...' : text
+}
+
+// Print a KEY / VALUE / SOURCE table to the terminal
+function printProvenanceTable(env, sources, profileName) {
+  const rows = Object.keys(sources).sort().map((key) => [key, formatValue(key, env[key]), sources[key]])
+  const header = ['KEY', 'VALUE', 'SOURCE']
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)))
+  const formatRow = (row) => '  ' + row.map((cell, i) => cell.padEnd(widths[i])).join('  ')
+
+  console.log('')
+  console.log('Environment variables (profile: ' + profileName + ')')
+  console.log(formatRow(header))
+  console.log(formatRow(widths.map((width) => '-'.repeat(width))))
+  rows.forEach((row) => console.log(formatRow(row)))
+  console.log('')
+}
+
+module.exports = {
+  SOURCES,
+  coerce,
+  parseDotEnv,
+  resolveEnv,
+  printProvenanceTable
+}
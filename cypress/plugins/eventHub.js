@@ -0,0 +1,49 @@
+/*
+ * eventHub.js - Share Cypress plugin events between modules
+ * =========================================================
+ *
+ * Cypress keeps only the LAST handler registered for events such as
+ * 'after:run' or 'after:spec'. Several plugins in this folder need the
+ * same events, so setupNodeEvents wraps `on` with this hub: every handler
+ * is kept and they run one after another in registration order.
+ *
+ * 'task' registrations are passed straight through - Cypress already
+ * merges task objects from multiple on('task') calls.
+ *
+ * Usage (configfactory.js):
+ *   const hubOn = createEventHub(on)
+ *   hubOn('after:run', writeSummary)
+ *   hubOn('after:run', printReport)
+ */
+
+function createEventHub(on) {
+  const handlers = {}
+
+  return function hubOn(event, handler) {
+    if (event === 'task') {
+      return on('task', handler)
+    }
+
+    if (!handlers[event]) {
+      handlers[event] = []
+
+      // One real Cypress handler per event, calling every registered one
+      on(event, async (...args) => {
+        let result
+        for (const registered of handlers[event]) {
+          const value = await registered(...args)
+          if (value !== undefined) {
+            result = value
+          }
+        }
+        return result
+      })
+    }
+
+    handlers[event].push(handler)
+  }
+}
+
+module.exports = {
+  createEventHub
+}
@@ -0,0 +1,51 @@
+/*
+ * featureFlagReport.js - Report of tests gated by feature flags
+ * =============================================================
+ *
+ * Specs that use requiresFlag() are skipped when the flag is off in the
+ * current profile (see cypress/support/featureFlagGate.js). Each spec
+ * sends its skipped tests here through the 'recordFlagGates' task, and at
+ * the end of the run the list is printed and written to
+ * cypress/reports/feature-flags.json.
+ */
+const fs = require('fs')
+const path = require('path')
+
+function registerFeatureFlagReport(on, config) {
+  const gatedTests = []
+
+  on('task', {
+    // Collect tests skipped by disabled flags in one spec
+    recordFlagGates(entries) {
+      gatedTests.push(...entries)
+      return null
+    }
+  })
+
+  on('after:run', () => {
+    const report = {
+      environment: config.env.environment,
+      featureFlags: config.env.featureFlags || {},
+      gatedTests
+    }
+
+    const reportPath = path.join(config.projectRoot || process.cwd(), 'cypress', 'reports', 'feature-flags.json')
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true })
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2))
+
+    console.log('')
+    console.log('Feature flag gating (profile: ' + report.environment + ')')
+    if (gatedTests.length === 0) {
+      console.log('  No tests were skipped by feature flags')
+    }
+    gatedTests.forEach((entry) => {
+      console.log('  [' + entry.flags.join(', ') + '] ' + entry.spec + ' > ' + entry.test)
+    })
+    console.log('  Report: ' + reportPath)
+    console.log('')
+  })
+}
+
+module.exports = {
+  registerFeatureFlagReport
+}
@@ -0,0 +1,58 @@
+/*
+ * fileTasks.js - Node tasks for the file system
+ * =============================================
+ *
+ * Cypress tests run in the browser and cannot touch the disk directly.
+ * These tasks run in Node and are called from specs with cy.task().
+ *
+ * Usage in tests:
+ *   cy.task('clearDownloads', Cypress.config('downloadsFolder'))
+ *   cy.task('isFileExist', 'cypress/downloads/report.pdf')
+ */
+const fs = require('fs')
+const path = require('path')
+
+module.exports = {
+  // Check if a file exists
+  isFileExist(filePath) {
+    return fs.existsSync(filePath) || null
+  },
+
+  // Delete a file
+  deleteFile(filePath) {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath)
+      return 'deleted'
+    }
+    return 'not found'
+  },
+
+  // List files in a directory
+  getDownloadedFiles(dirPath) {
+    if (fs.existsSync(dirPath)) {
+      return fs.readdirSync(dirPath)
+    }
+    return []
+  },
+
+  // Clear all files in a directory
+  clearDownloads(dirPath) {
+    if (!fs.existsSync(dirPath)) {
+      return 0
+    }
+    const files = fs.readdirSync(dirPath)
+    files.forEach(file => {
+      const filePath = path.join(dirPath, file)
+      if (fs.statSync(filePath).isFile()) {
+        fs.unlinkSync(filePath)
+      }
+    })
+    return files.length
+  },
+
+  // Log message to terminal
+  log(message) {
+    console.log(message)
+    return null
+  }
+}
@@ -0,0 +1,108 @@
+/*
+ * harExport.js - Save a spec's network ledger as a HAR file
+ * =========================================================
+ *
+ * cypress/support/networkLedger.js collects every request of a spec and,
+ * when Cypress.env('harExport') is true, sends them to the 'saveHar' task.
+ * The file opens in browser dev tools or any HAR viewer:
+ *
+ *   cypress/e2e/Day2/handelingwaitamdtimeout.cy.js
+ *     -> cypress/reports/har/Day2/handelingwaitamdtimeout.cy.har
+ *
+ * Usage:
+ *   npx cypress run --env harExport=true
+ */
+const fs = require('fs')
+const path = require('path')
+
+function toHarHeaders(headers = {}) {
+  return Object.entries(headers).map(([name, value]) => ({
+    name,
+    value: Array.isArray(value) ? value.join(', ') : String(value)
+  }))
+}
+
+function toHarQuery(url) {
+  try {
+    return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }))
+  } catch (err) {
+    return []
+  }
+}
+
+function toHarEntry(entry) {
+  const mimeType = entry.responseHeaders['content-type'] || ''
+  const request = {
+    method: entry.method,
+    url: entry.url,
+    httpVersion: 'HTTP/1.1',
+    cookies: [],
+    headers: toHarHeaders(entry.requestHeaders),
+    queryString: toHarQuery(entry.url),
+    headersSize: -1,
+    bodySize: entry.requestBody ? entry.requestBody.length : 0
+  }
+  if (entry.requestBody) {
+    request.postData = {
+      mimeType: entry.requestHeaders['content-type'] || 'application/json',
+      text: entry.requestBody
+    }
+  }
+
+  return {
+    startedDateTime: entry.startedAt,
+    time: entry.duration || 0,
+    request,
+    response: {
+      status: entry.status || 0,
+      statusText: entry.error || (entry.status === null ? 'No response' : ''),
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(entry.responseHeaders),
+      content: {
+        size: entry.responseBody ? entry.responseBody.length : 0,
+        mimeType,
+        text: entry.responseBody || ''
+      },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: -1
+    },
+    cache: {},
+    timings: { send: 0, wait: entry.duration || 0, receive: 0 },
+    comment: '[' + entry.source + '] ' + (entry.test || '')
+  }
+}
+
+function harPath(projectRoot, specRelative) {
+  const specPath = specRelative.replace(/\\/g, '/').replace(/^cypress\/e2e\//, '')
+  return path.join(projectRoot, 'cypress', 'reports', 'har', specPath.replace(/\.[jt]sx?$/, '') + '.har')
+}
+
+function registerHarExport(on, config) {
+  const projectRoot = config.projectRoot || process.cwd()
+
+  on('task', {
+    saveHar({ spec, entries }) {
+      const filePath = harPath(projectRoot, spec)
+      const har = {
+        log: {
+          version: '1.2',
+          creator: { name: 'cypressfeb network ledger', version: '1.0' },
+          pages: [],
+          entries: entries.map(toHarEntry)
+        }
+      }
+
+      fs.mkdirSync(path.dirname(filePath), { recursive: true })
+      fs.writeFileSync(filePath, JSON.stringify(har, null, 2))
+      console.log('HAR: ' + entries.length + ' request(s) -> ' + path.relative(projectRoot, filePath))
+      return null
+    }
+  })
+}
+
+module.exports = {
+  toHarEntry,
+  registerHarExport
+}
@@ -0,0 +1,85 @@
+/*
+ * latencyReport.js - Run-level response time summary per endpoint
+ * ===============================================================
+ *
+ * cypress/support/latencyCheck.js times every API call against its
+ * budget and sends each spec's samples here through the 'recordLatency'
+ * task. At the end of the run every endpoint is listed with
+ * min/median/p95/max and the number of calls over budget, slowest p95
+ * first, in the terminal and in cypress/reports/latency-summary.json.
+ *
+ * Keep the JSON from each CI build to compare endpoints across builds.
+ */
+const fs = require('fs')
+const path = require('path')
+const { latencyStats } = require('../support/latencyStats')
+
+function summarizeLatency(samples) {
+  const byEndpoint = {}
+  samples.forEach((sample) => {
+    byEndpoint[sample.endpoint] = byEndpoint[sample.endpoint] || []
+    byEndpoint[sample.endpoint].push(sample)
+  })
+
+  return Object.entries(byEndpoint)
+    .map(([endpoint, entries]) => {
+      return {
+        endpoint,
+        ...latencyStats(entries.map((entry) => entry.durationMs)),
+        budgetMs: entries[entries.length - 1].budgetMs,
+        breaches: entries.filter((entry) => entry.breached).length,
+        specs: Array.from(new Set(entries.map((entry) => entry.spec)))
+      }
+    })
+    .sort((a, b) => b.p95 - a.p95)
+}
+
+function registerLatencyReport(on, config) {
+  const projectRoot = config.projectRoot || process.cwd()
+  const settings = config.env.latency || {}
+  const samples = []
+
+  if (!settings.onBreach || settings.onBreach === 'off') {
+    return
+  }
+
+  on('task', {
+    // Timed calls from one spec
+    recordLatency({ spec, samples: entries }) {
+      entries.forEach((entry) => samples.push({ ...entry, spec }))
+      return null
+    }
+  })
+
+  on('after:run', () => {
+    if (samples.length === 0) {
+      return
+    }
+
+    const endpoints = summarizeLatency(samples)
+    const reportPath = path.join(projectRoot, 'cypress', 'reports', 'latency-summary.json')
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true })
+    fs.writeFileSync(reportPath, JSON.stringify({
+      environment: config.env.environment,
+      generatedAt: new Date().toISOString(),
+      endpoints
+    }, null, 2))
+
+    console.log('')
+    console.log('API latency (profile: ' + config.env.environment + ', ms)')
+    console.log('  ' + 'endpoint'.padEnd(44) + 'calls'.padStart(6) + 'min'.padStart(7) + 'median'.padStart(8) +
+      'p95'.padStart(7) + 'max'.padStart(7) + 'budget'.padStart(8) + '  over')
+    endpoints.forEach((row) => {
+      console.log('  ' + row.endpoint.padEnd(44) + String(row.count).padStart(6) + String(row.min).padStart(7) +
+        String(row.median).padStart(8) + String(row.p95).padStart(7) + String(row.max).padStart(7) +
+        String(row.budgetMs === null ? '-' : row.budgetMs).padStart(8) + '  ' + (row.breaches > 0 ? row.breaches : ''))
+    })
+    console.log('  Report: ' + reportPath)
+    console.log('')
+  })
+}
+
+module.exports = {
+  summarizeLatency,
+  registerLatencyReport
+}
@@ -0,0 +1,48 @@
+/*
+ * leakedResources.js - Report resources the cleanup could not delete
+ * ===================================================================
+ *
+ * cypress/support/resourceCleanup.js deletes everything the tests
+ * created. Anything it could not remove is sent here through the
+ * 'recordLeakedResources' task and, at the end of the run, printed and
+ * written to cypress/reports/leaked-resources.json so it can be removed
+ * by hand.
+ */
+const fs = require('fs')
+const path = require('path')
+
+function registerLeakedResourcesReport(on, config) {
+  const projectRoot = config.projectRoot || process.cwd()
+  const leaked = []
+
+  on('task', {
+    // Leaks from one spec
+    recordLeakedResources({ spec, leaked: entries }) {
+      entries.forEach((entry) => leaked.push({ ...entry, spec }))
+      return null
+    }
+  })
+
+  on('after:run', () => {
+    if (leaked.length === 0) {
+      return
+    }
+
+    const reportPath = path.join(projectRoot, 'cypress', 'reports', 'leaked-resources.json')
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true })
+    fs.writeFileSync(reportPath, JSON.stringify({ environment: config.env.environment, leaked }, null, 2))
+
+    console.log('')
+    console.log(leaked.length + ' resource(s) created by tests could not be deleted (profile: ' + config.env.environment + ')')
+    leaked.forEach((entry) => {
+      console.log('  ' + entry.type + ' ' + entry.id + '  DELETE ' + entry.deleteUrl + ' -> ' + entry.status +
+        ' after ' + entry.attempts + ' attempt(s)  [' + entry.spec + ']')
+    })
+    console.log('  Report: ' + reportPath)
+    console.log('')
+  })
+}
+
+module.exports = {
+  registerLeakedResourcesReport
+}
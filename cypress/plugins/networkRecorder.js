@@ -0,0 +1,142 @@
+/*
+ * networkRecorder.js - Record and replay XHR/fetch traffic per spec
+ * =================================================================
+ *
+ * Cypress.env('networkMode') picks what cypress/support/networkRecorder.js
+ * does in the browser:
+ *
+ *   record - every XHR/fetch response is saved to
+ *            cypress/fixtures/recordings/<spec path>.json, secrets
+ *            redacted; tests that did not run keep their recordings
+ *   replay - responses are served from those recordings; requests with no
+ *            recording go to the network and are reported
+ *   live   - nothing is recorded or replayed
+ *
+ * When networkMode is not set it follows the profile's mockEnabled flag:
+ * replay when true, live otherwise. A mockEnabled profile runs live until
+ * something has been recorded - replaying an empty folder would only turn
+ * every request into a miss.
+ *
+ * Usage:
+ *   npx cypress run --env networkMode=record      # refresh the recordings
+ *   CYPRESS_ENV=dev npx cypress run               # mockEnabled -> replay
+ *
+ * Unrecorded requests are printed at the end of the run and written to
+ * cypress/reports/network-misses.json.
+ */
+const fs = require('fs')
+const path = require('path')
+
+const NETWORK_MODES = ['record', 'replay', 'live']
+
+// cypress/e2e/Day2/uihooksdemo.cy.js -> cypress/fixtures/recordings/Day2/uihooksdemo.cy.json
+function recordingPath(projectRoot, specRelative) {
+  const specPath = specRelative.replace(/\\/g, '/').replace(/^cypress\/e2e\//, '')
+  return path.join(projectRoot, 'cypress', 'fixtures', 'recordings', specPath.replace(/\.[jt]sx?$/, '') + '.json')
+}
+
+// True once any spec has been recorded
+function hasRecordings(projectRoot) {
+  const recordingsDir = path.join(projectRoot, 'cypress', 'fixtures', 'recordings')
+  if (!fs.existsSync(recordingsDir)) {
+    return false
+  }
+  return fs.readdirSync(recordingsDir, { recursive: true }).some((file) => file.endsWith('.json'))
+}
+
+// The spec's recording with the tests that ran replaced - a .only or grep
+// run must not throw away what the other tests recorded
+function mergeRecording(existing, tests, entries) {
+  const kept = existing ? existing.entries.filter((entry) => !tests.includes(entry.test)) : []
+  return kept.concat(entries)
+}
+
+// Explicit networkMode wins, otherwise mockEnabled decides - throws if unknown
+function resolveNetworkMode(env, recordingsAvailable = true) {
+  const mode = env.networkMode || (env.mockEnabled === true && recordingsAvailable ? 'replay' : 'live')
+  if (!NETWORK_MODES.includes(mode)) {
+    throw new Error('Unknown networkMode "' + mode + '". Valid modes: ' + NETWORK_MODES.join(', '))
+  }
+  return mode
+}
+
+function registerNetworkRecorder(on, config) {
+  const projectRoot = config.projectRoot || process.cwd()
+  const misses = []
+
+  if (!config.env.networkMode) {
+    const recordingsAvailable = hasRecordings(projectRoot)
+    const source = config.env.mockEnabled === true && !recordingsAvailable ? 'mockEnabled (no recordings)' : 'mockEnabled'
+    config.env.envSources = { ...config.env.envSources, networkMode: source }
+    config.env.networkMode = resolveNetworkMode(config.env, recordingsAvailable)
+    if (source === 'mockEnabled (no recordings)') {
+      console.log('Network replay: nothing recorded yet, running live - record with --env networkMode=record')
+    }
+  } else {
+    config.env.networkMode = resolveNetworkMode(config.env)
+  }
+
+  on('task', {
+    // Save one spec's recorded responses (record mode)
+    saveNetworkRecording({ spec, tests, entries }) {
+      const filePath = recordingPath(projectRoot, spec)
+      const existing = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null
+      fs.mkdirSync(path.dirname(filePath), { recursive: true })
+      fs.writeFileSync(filePath, JSON.stringify({
+        spec,
+        recordedAt: new Date().toISOString(),
+        entries: mergeRecording(existing, tests, entries)
+      }, null, 2))
+      console.log('Recorded ' + entries.length + ' response(s) from ' + tests.length + ' test(s) to ' + path.relative(projectRoot, filePath))
+      return null
+    },
+
+    // One spec's recording, or null when it was never recorded (replay mode)
+    loadNetworkRecording(spec) {
+      const filePath = recordingPath(projectRoot, spec)
+      if (!fs.existsSync(filePath)) {
+        return null
+      }
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    },
+
+    // Collect requests that had no recording in one spec (replay mode)
+    recordNetworkMisses(entries) {
+      misses.push(...entries)
+      return null
+    }
+  })
+
+  on('after:run', () => {
+    if (config.env.networkMode !== 'replay') {
+      return
+    }
+
+    const reportPath = path.join(projectRoot, 'cypress', 'reports', 'network-misses.json')
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true })
+    fs.writeFileSync(reportPath, JSON.stringify({
+      environment: config.env.environment,
+      misses
+    }, null, 2))
+
+    console.log('')
+    console.log('Network replay (profile: ' + config.env.environment + ')')
+    if (misses.length === 0) {
+      console.log('  Every XHR/fetch request was served from a recording')
+    }
+    misses.forEach((miss) => {
+      console.log('  ' + miss.method + ' ' + miss.url + '  (' + miss.spec + ' > ' + miss.test + ')')
+    })
+    console.log('  Report: ' + reportPath)
+    console.log('')
+  })
+}
+
+module.exports = {
+  NETWORK_MODES,
+  recordingPath,
+  hasRecordings,
+  mergeRecording,
+  resolveNetworkMode,
+  registerNetworkRecorder
+}
@@ -0,0 +1,124 @@
+/*
+ * retryReport.js - Run-level list of API calls that needed retries
+ * ================================================================
+ *
+ * cy.apiRequest() retries transient failures (429/502/503/504 by default)
+ * and cypress/support/retryLog.js sends each spec's retried calls here
+ * through the 'recordApiRetries' task. At the end of the run every
+ * endpoint that needed a retry is listed - most extra attempts first -
+ * in the terminal and in cypress/reports/api-retries.json, so a flaky
+ * backend shows up even when all tests passed.
+ *
+ * The checkConnection task lets cy.apiRequest() see that a host went down
+ * before it resends a failed call (see cypress/support/retryPolicy.js).
+ */
+const fs = require('fs')
+const net = require('net')
+const path = require('path')
+
+const PROXY_VARS = ['HTTPS_PROXY', 'https_proxy', 'HTTP_PROXY', 'http_proxy']
+
+function summarizeRetries(retries) {
+  const byEndpoint = {}
+  retries.forEach((entry) => {
+    byEndpoint[entry.endpoint] = byEndpoint[entry.endpoint] || []
+    byEndpoint[entry.endpoint].push(entry)
+  })
+
+  return Object.entries(byEndpoint)
+    .map(([endpoint, entries]) => {
+      const statuses = {}
+      entries.forEach((entry) => {
+        entry.statuses.slice(0, -1).forEach((status) => {
+          statuses[status] = (statuses[status] || 0) + 1
+        })
+      })
+      return {
+        endpoint,
+        calls: entries.length,
+        extraAttempts: entries.reduce((sum, entry) => sum + entry.attempts - 1, 0),
+        recovered: entries.filter((entry) => entry.outcome === 'recovered').length,
+        failed: entries.filter((entry) => entry.outcome !== 'recovered').length,
+        retriedStatuses: statuses,
+        specs: Array.from(new Set(entries.map((entry) => entry.spec)))
+      }
+    })
+    .sort((a, b) => b.extraAttempts - a.extraAttempts)
+}
+
+/*
+ * checkConnection - Can a TCP connection to the URL's host be opened?
+ *
+ * Returns: null when it can, otherwise the error (e.g. 'ECONNREFUSED').
+ * Behind a proxy only cy.request itself knows the way, so the check passes.
+ */
+function checkConnection({ url, timeoutMs = 10000 }) {
+  if (PROXY_VARS.some((name) => process.env[name])) {
+    return Promise.resolve(null)
+  }
+
+  const { protocol, hostname, port } = new URL(url)
+  return new Promise((resolve) => {
+    const socket = net.connect({
+      host: hostname.replace(/^\[|\]$/g, ''),
+      port: Number(port) || (protocol === 'https:' ? 443 : 80)
+    })
+    const done = (error) => {
+      socket.destroy()
+      resolve(error)
+    }
+    socket.setTimeout(timeoutMs)
+    socket.once('connect', () => done(null))
+    socket.once('timeout', () => done('no connection within ' + timeoutMs + 'ms'))
+    socket.once('error', (err) => done(err.code || err.message))
+  })
+}
+
+function registerRetryReport(on, config) {
+  const projectRoot = config.projectRoot || process.cwd()
+  const retries = []
+
+  on('task', {
+    // Retried calls from one spec
+    recordApiRetries({ spec, retries: entries }) {
+      entries.forEach((entry) => retries.push({ ...entry, spec }))
+      return null
+    },
+
+    checkConnection
+  })
+
+  on('after:run', () => {
+    if (retries.length === 0) {
+      return
+    }
+
+    const endpoints = summarizeRetries(retries)
+    const reportPath = path.join(projectRoot, 'cypress', 'reports', 'api-retries.json')
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true })
+    fs.writeFileSync(reportPath, JSON.stringify({
+      environment: config.env.environment,
+      generatedAt: new Date().toISOString(),
+      endpoints,
+      retries
+    }, null, 2))
+
+    console.log('')
+    console.log('API calls that needed retries (profile: ' + config.env.environment + ')')
+    console.log('  ' + 'endpoint'.padEnd(44) + 'calls'.padStart(6) + 'extra'.padStart(7) +
+      'recovered'.padStart(11) + 'failed'.padStart(8) + '  retried on')
+    endpoints.forEach((row) => {
+      const statuses = Object.entries(row.retriedStatuses).map(([status, count]) => status + ' x' + count).join(', ')
+      console.log('  ' + row.endpoint.padEnd(44) + String(row.calls).padStart(6) + String(row.extraAttempts).padStart(7) +
+        String(row.recovered).padStart(11) + String(row.failed).padStart(8) + '  ' + statuses)
+    })
+    console.log('  Report: ' + reportPath)
+    console.log('')
+  })
+}
+
+module.exports = {
+  summarizeRetries,
+  checkConnection,
+  registerRetryReport
+}
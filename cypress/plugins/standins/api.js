@@ -0,0 +1,334 @@
+/*
+ * api.js - Offline stand-in for JSONPlaceholder and reqres.in
+ * ============================================================
+ *
+ * One in-process API server for both sites. Unlike the public
+ * JSONPlaceholder, writes are real: a created post can be read back,
+ * updated and deleted for the rest of the run.
+ *
+ * JSONPlaceholder routes (site base URL = server root):
+ *   GET    /<resource>               List, filtered by query (?userId=1),
+ *                                     paged with _start / _limit or
+ *                                     _page / _limit (with a Link header);
+ *                                     paged lists send X-Total-Count
+ *   GET    /<resource>/<id>          One item, {} with 404 when missing
+ *   GET    /<parent>/<id>/<resource> Nested list, e.g. /posts/1/comments
+ *   POST   /<resource>               Create (201, next free id)
+ *   PUT    /<resource>/<id>          Replace
+ *   PATCH  /<resource>/<id>          Merge
+ *   DELETE /<resource>/<id>          Remove
+ *   Resources: users, posts, comments, todos
+ *
+ * reqres.in routes (site base URL = server root + /api):
+ *   POST /api/login     Token for a known user, 400 { error } otherwise
+ *   POST /api/register  Same rules, returns { id, token }
+ *   GET  /api/users     Paged list (?page=2&per_page=6)
+ *   GET  /api/users/<id>
+ *
+ * Call resetState() (the resetApiState task) to go back to the seed data.
+ */
+const http = require('http')
+const crypto = require('crypto')
+
+const RESOURCES = ['users', 'posts', 'comments', 'todos']
+
+// JSONPlaceholder's users - specs assert on user 1 (Leanne Graham)
+const USER_SEED = [
+  ['Leanne Graham', 'Bret', 'Sincere@april.biz', 'Gwenborough'],
+  ['Ervin Howell', 'Antonette', 'Shanna@melissa.tv', 'Wisokyburgh'],
+  ['Clementine Bauch', 'Samantha', 'Nathan@yesenia.net', 'McKenziehaven'],
+  ['Patricia Lebsack', 'Karianne', 'Julianne.OConner@kory.org', 'South Elvis'],
+  ['Chelsey Dietrich', 'Kamren', 'Lucio_Hettinger@annie.ca', 'Roscoeview'],
+  ['Mrs. Dennis Schulist', 'Leopoldo_Corkery', 'Karley_Dach@jasper.info', 'South Christy'],
+  ['Kurtis Weissnat', 'Elwyn.Skiles', 'Telly.Hoeger@billy.biz', 'Howemouth'],
+  ['Nicholas Runolfsdottir V', 'Maxime_Nienow', 'Sherwood@rosamond.me', 'Aliyaview'],
+  ['Glenna Reichert', 'Delphine', 'Chaim_McDermott@dana.io', 'Bartholomebury'],
+  ['Clementina DuBuque', 'Moriah.Stanton', 'Rey.Padberg@karina.biz', 'Lebsackbury']
+]
+
+// reqres.in's users - eve.holt@reqres.in is the documented login
+const REQRES_SEED = [
+  ['George', 'Bluth'], ['Janet', 'Weaver'], ['Emma', 'Wong'], ['Eve', 'Holt'],
+  ['Charles', 'Morris'], ['Tracey', 'Ramos'], ['Michael', 'Lawson'], ['Lindsay', 'Ferguson'],
+  ['Tobias', 'Funke'], ['Byron', 'Fields'], ['George', 'Edwards'], ['Rachel', 'Howell']
+]
+
+// ============================================================================
+// SEED DATA
+// ============================================================================
+
+function range(count) {
+  return Array.from({ length: count }, (value, index) => index + 1)
+}
+
+function createSeedState() {
+  const users = USER_SEED.map(([name, username, email, city], index) => ({
+    id: index + 1,
+    name,
+    username,
+    email,
+    address: {
+      street: 'Main Street ' + (index + 1),
+      suite: 'Apt. ' + (100 + index),
+      city,
+      zipcode: '1000' + index,
+      geo: { lat: String(-37.3159 + index), lng: String(81.1496 - index) }
+    },
+    phone: '1-770-736-80' + String(index).padStart(2, '0'),
+    website: username.toLowerCase().replace(/[^a-z]/g, '') + '.org',
+    company: {
+      name: name.split(' ').pop() + ' Group',
+      catchPhrase: 'Offline stand-in company',
+      bs: 'deterministic test data'
+    }
+  }))
+
+  const posts = range(100).map((id) => ({
+    userId: Math.ceil(id / 10),
+    id,
+    title: 'post ' + id + ' title',
+    body: 'post ' + id + ' body'
+  }))
+
+  const comments = range(500).map((id) => ({
+    postId: Math.ceil(id / 5),
+    id,
+    name: 'comment ' + id,
+    email: 'commenter' + id + '@example.com',
+    body: 'comment ' + id + ' body'
+  }))
+
+  const todos = range(200).map((id) => ({
+    userId: Math.ceil(id / 20),
+    id,
+    title: 'todo ' + id,
+    completed: id % 3 === 0
+  }))
+
+  const reqresUsers = REQRES_SEED.map(([first, last], index) => ({
+    id: index + 1,
+    email: first.toLowerCase() + '.' + last.toLowerCase() + '@reqres.in',
+    first_name: first,
+    last_name: last,
+    avatar: 'https://reqres.in/img/faces/' + (index + 1) + '-image.jpg'
+  }))
+
+  return { users, posts, comments, todos, reqresUsers, tokens: {} }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', (chunk) => chunks.push(chunk))
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString()
+      if (!text) {
+        return resolve({})
+      }
+      if (/application\/x-www-form-urlencoded/.test(req.headers['content-type'] || '')) {
+        return resolve(Object.fromEntries(new URLSearchParams(text)))
+      }
+      try {
+        resolve(JSON.parse(text))
+      } catch (err) {
+        reject(new Error('Request body is not valid JSON'))
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+// Query values arrive as text, so compare them as text
+function matchesQuery(item, query) {
+  return Object.entries(query).every(([key, value]) => String(item[key]) === value)
+}
+
+function nextId(items) {
+  return items.reduce((max, item) => Math.max(max, item.id), 0) + 1
+}
+
+// json-server style Link header: first / prev / next / last pages
+function pageLinks(requestUrl, page, lastPage) {
+  const link = (number, rel) => {
+    const url = new URL(requestUrl.href)
+    url.searchParams.set('_page', number)
+    return '<' + url.href + '>; rel="' + rel + '"'
+  }
+
+  const links = [link(1, 'first')]
+  if (page > 1) links.push(link(page - 1, 'prev'))
+  if (page < lastPage) links.push(link(page + 1, 'next'))
+  links.push(link(lastPage, 'last'))
+  return links.join(', ')
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+function handleJsonPlaceholder(state, method, segments, query, body, requestUrl) {
+  const [resource, rawId, child] = segments
+  if (!RESOURCES.includes(resource)) {
+    return [404, {}]
+  }
+
+  const items = state[resource]
+  const id = Number(rawId)
+  const index = rawId === undefined ? -1 : items.findIndex((item) => item.id === id)
+
+  // Nested list, e.g. /posts/1/comments -> comments with postId 1
+  if (child) {
+    if (method !== 'GET' || !RESOURCES.includes(child) || segments.length > 3) {
+      return [404, {}]
+    }
+    const foreignKey = resource.replace(/s$/, '') + 'Id'
+    return [200, state[child].filter((item) => item[foreignKey] === id)]
+  }
+
+  if (rawId === undefined) {
+    if (method === 'GET') {
+      const filters = { ...query }
+      const page = filters._page !== undefined ? Math.max(Number(filters._page) || 1, 1) : undefined
+      const limit = filters._limit !== undefined ? Number(filters._limit) : undefined
+      const start = page !== undefined ? (page - 1) * (limit || 10) : Number(filters._start) || 0
+      delete filters._page
+      delete filters._start
+      delete filters._limit
+
+      const matches = items.filter((item) => matchesQuery(item, filters))
+      if (page !== undefined) {
+        const perPage = limit || 10
+        const lastPage = Math.max(Math.ceil(matches.length / perPage), 1)
+        return [200, matches.slice(start, start + perPage), {
+          'X-Total-Count': String(matches.length),
+          Link: pageLinks(requestUrl, page, lastPage)
+        }]
+      }
+
+      const listed = matches.slice(start, limit !== undefined ? start + limit : undefined)
+      return [200, listed, limit !== undefined ? { 'X-Total-Count': String(matches.length) } : {}]
+    }
+    if (method === 'POST') {
+      const created = { ...body, id: nextId(items) }
+      items.push(created)
+      return [201, created]
+    }
+    return [404, {}]
+  }
+
+  if (index === -1) {
+    return [404, {}]
+  }
+
+  switch (method) {
+    case 'GET':
+      return [200, items[index]]
+    case 'PUT':
+      items[index] = { ...body, id }
+      return [200, items[index]]
+    case 'PATCH':
+      items[index] = { ...items[index], ...body, id }
+      return [200, items[index]]
+    case 'DELETE':
+      items.splice(index, 1)
+      return [200, {}]
+    default:
+      return [404, {}]
+  }
+}
+
+function handleReqres(state, method, segments, query, body) {
+  const [route, rawId] = segments
+
+  if (method === 'POST' && (route === 'login' || route === 'register')) {
+    if (!body.email && !body.username) {
+      return [400, { error: 'Missing email or username' }]
+    }
+    if (!body.password) {
+      return [400, { error: 'Missing password' }]
+    }
+
+    const user = state.reqresUsers.find((entry) => entry.email === body.email)
+    if (!user) {
+      return [400, { error: route === 'login' ? 'user not found' : 'Note: Only defined users succeed registration' }]
+    }
+
+    const token = crypto.randomBytes(8).toString('hex')
+    state.tokens[token] = user.id
+    return [200, route === 'login' ? { token } : { id: user.id, token }]
+  }
+
+  if (method === 'GET' && route === 'users') {
+    if (rawId !== undefined) {
+      const user = state.reqresUsers.find((entry) => entry.id === Number(rawId))
+      return user ? [200, { data: user }] : [404, {}]
+    }
+
+    const page = Number(query.page) || 1
+    const perPage = Number(query.per_page) || 6
+    const start = (page - 1) * perPage
+    return [200, {
+      page,
+      per_page: perPage,
+      total: state.reqresUsers.length,
+      total_pages: Math.ceil(state.reqresUsers.length / perPage),
+      data: state.reqresUsers.slice(start, start + perPage)
+    }]
+  }
+
+  return [404, {}]
+}
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+function createApiServer() {
+  let state = createSeedState()
+
+  const server = http.createServer(async (req, res) => {
+    let status
+    let payload
+    let headers = {}
+
+    try {
+      const url = new URL(req.url, 'http://' + (req.headers.host || 'localhost'))
+      const segments = url.pathname.split('/').filter(Boolean)
+      const query = Object.fromEntries(url.searchParams)
+      const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readJsonBody(req) : {}
+
+      if (segments[0] === 'api') {
+        [status, payload] = handleReqres(state, req.method, segments.slice(1), query, body)
+      } else {
+        [status, payload, headers = {}] = handleJsonPlaceholder(state, req.method, segments, query, body, url)
+      }
+    } catch (err) {
+      status = 400
+      payload = { error: err.message }
+    }
+
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      ...headers
+    })
+    res.end(JSON.stringify(payload))
+  })
+
+  // Back to the seed data - returns the item count per resource
+  server.resetState = () => {
+    state = createSeedState()
+    return Object.fromEntries(RESOURCES.map((resource) => [resource, state[resource].length]))
+  }
+
+  return server
+}
+
+module.exports = {
+  RESOURCES,
+  createApiServer
+}
@@ -0,0 +1,337 @@
+/*
+ * herokuapp.js - Offline stand-in for the-internet.herokuapp.com
+ * ===============================================================
+ *
+ * Serves functional copies of the pages our specs use, so Login,
+ * scalableLoginTest, fileuploaddownload and iframehandling can run
+ * without the public demo site:
+ *
+ *   GET  /login            Login form (#username, #password, submit)
+ *   POST /authenticate     Checks tomsmith / SuperSecretPassword!
+ *   GET  /secure           Secure Area (redirects to /login when logged out)
+ *   GET  /logout           Ends the session
+ *   GET  /upload           Upload form (#file-upload, #file-submit)
+ *   POST /upload           "File Uploaded!" page with #uploaded-files
+ *   GET  /download         Links to every downloadable file
+ *   GET  /download/<name>  The file, as an attachment
+ *   GET  /iframe           TinyMCE-like editor in #mce_0_ifr
+ *
+ * Messages use the same #flash.success / #flash.error markup and text as
+ * the real site. State (sessions, uploaded files) lives in memory.
+ */
+const http = require('http')
+const crypto = require('crypto')
+
+const VALID_USER = { username: 'tomsmith', password: 'SuperSecretPassword!' }
+
+const MESSAGES = {
+  loggedIn: 'You logged into a secure area!',
+  loggedOut: 'You logged out of the secure area!',
+  invalidUsername: 'Your username is invalid!',
+  invalidPassword: 'Your password is invalid!',
+  mustLogin: 'You must login to view the secure area!'
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function parseCookies(req) {
+  const cookies = {}
+  ;(req.headers.cookie || '').split(';').forEach((pair) => {
+    const index = pair.indexOf('=')
+    if (index > 0) {
+      cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim())
+    }
+  })
+  return cookies
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', (chunk) => chunks.push(chunk))
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+}
+
+// Minimal multipart/form-data parser - enough for one file input
+function parseMultipart(buffer, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '')
+  if (!match) {
+    return []
+  }
+
+  const boundary = '--' + (match[1] || match[2])
+  const parts = []
+
+  buffer.toString('binary').split(boundary).forEach((rawPart) => {
+    const headerEnd = rawPart.indexOf('\r\n\r\n')
+    if (headerEnd === -1) {
+      return
+    }
+
+    const headers = rawPart.slice(0, headerEnd)
+    const name = /name="([^"]*)"/.exec(headers)
+    const filename = /filename="([^"]*)"/.exec(headers)
+    const data = rawPart.slice(headerEnd + 4).replace(/\r\n$/, '')
+
+    parts.push({
+      name: name ? name[1] : '',
+      filename: filename ? filename[1] : null,
+      data: Buffer.from(data, 'binary')
+    })
+  })
+
+  return parts
+}
+
+function page(content) {
+  return '<!DOCTYPE html>\n<html>\n<head>\n' +
+    '  <meta charset="utf-8">\n' +
+    '  <title>The Internet</title>\n' +
+    '  <style>\n' +
+    '    body { font-family: Arial, sans-serif; margin: 0; }\n' +
+    '    #content { max-width: 900px; margin: 20px auto; }\n' +
+    '    .flash { padding: 12px; margin: 10px 0; }\n' +
+    '    .flash.success { background: #5da423; color: #fff; }\n' +
+    '    .flash.error { background: #c60f13; color: #fff; }\n' +
+    '    label { display: block; margin-top: 10px; }\n' +
+    '    iframe { width: 100%; height: 200px; border: 1px solid #ccc; }\n' +
+    '  </style>\n' +
+    '</head>\n<body>\n' +
+    '<div id="content" class="large-12 columns">\n' +
+    content + '\n' +
+    '</div>\n</body>\n</html>\n'
+}
+
+function flashHtml(flash) {
+  if (!flash) {
+    return ''
+  }
+  const [type, message] = flash.split('|')
+  return '<div id="flash-messages" class="large-12 columns">' +
+    '<div data-alert id="flash" class="flash ' + escapeHtml(type) + '">\n' +
+    escapeHtml(message) + '\n<a href="#" class="close">x</a></div></div>'
+}
+
+// ============================================================================
+// PAGES
+// ============================================================================
+
+function loginPage(flash) {
+  return page(flashHtml(flash) + `
+<div class="example">
+  <h2>Login Page</h2>
+  <h4 class="subheader">This is where you can log into the secure area. Enter
+    <em>tomsmith</em> for the username and <em>SuperSecretPassword!</em> for the password.</h4>
+  <form name="login" id="login" action="/authenticate" method="post">
+    <div class="row">
+      <label for="username">Username</label>
+      <input type="text" name="username" id="username">
+    </div>
+    <div class="row">
+      <label for="password">Password</label>
+      <input type="password" name="password" id="password">
+    </div>
+    <button class="radius" type="submit"><i class="fa fa-2x fa-sign-in"> Login</i></button>
+  </form>
+</div>`)
+}
+
+function securePage(flash) {
+  return page(flashHtml(flash) + `
+<div class="example">
+  <h2><i class="icon-lock"></i> Secure Area</h2>
+  <h4 class="subheader">Welcome to the Secure Area. When you are done click logout below.</h4>
+  <a class="button secondary radius" href="/logout"><i class="icon-2x icon-signout"> Logout</i></a>
+</div>`)
+}
+
+function uploadPage() {
+  return page(`
+<div class="example">
+  <h3>File Uploader</h3>
+  <p>Choose a file on your system and then click upload.</p>
+  <form method="POST" enctype="multipart/form-data" action="/upload">
+    <input id="file-upload" type="file" name="file">
+    <input id="file-submit" class="button" type="submit" value="Upload">
+  </form>
+  <div id="drag-drop-upload" class="dz-clickable"></div>
+</div>`)
+}
+
+function uploadedPage(fileName) {
+  return page(`
+<div class="example">
+  <h3>File Uploaded!</h3>
+  <div id="uploaded-files" class="panel text-center">
+    ${escapeHtml(fileName)}
+  </div>
+</div>`)
+}
+
+function downloadPage(files) {
+  const links = Object.keys(files).map((name) =>
+    '  <a href="download/' + encodeURIComponent(name) + '">' + escapeHtml(name) + '</a><br>'
+  ).join('\n')
+
+  return page(`
+<div class="example">
+  <h3>File Downloader</h3>
+${links}
+</div>`)
+}
+
+function iframePage() {
+  return page(`
+<div class="example">
+  <h3>An iFrame containing the TinyMCE WYSIWYG Editor</h3>
+  <div class="tox-toolbar">
+    <button type="button" title="Bold" onclick="format('bold')"><b>B</b></button>
+    <button type="button" title="Italic" onclick="format('italic')"><i>I</i></button>
+  </div>
+  <iframe id="mce_0_ifr" title="Rich Text Area" src="/iframe/editor"></iframe>
+  <script>
+    function format(command) {
+      document.getElementById('mce_0_ifr').contentDocument.execCommand(command)
+    }
+  </script>
+</div>`)
+}
+
+function editorDocument() {
+  return '<!DOCTYPE html>\n<html>\n<head><meta charset="utf-8"></head>\n' +
+    '<body id="tinymce" class="mce-content-body" data-id="mce_0" contenteditable="true">' +
+    '<p>Your content goes here.</p></body>\n</html>\n'
+}
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+function createHerokuappServer() {
+  const sessions = new Set()
+  const files = {
+    'some-file.txt': Buffer.from('This is some-file.txt served by the offline herokuapp stand-in.\n')
+  }
+
+  function send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers })
+    res.end(body)
+  }
+
+  function redirect(res, location, cookies = []) {
+    res.writeHead(302, { Location: location, 'Set-Cookie': cookies })
+    res.end()
+  }
+
+  function flashCookie(type, message) {
+    return 'flash=' + encodeURIComponent(type + '|' + message) + '; Path=/'
+  }
+
+  const clearFlash = 'flash=; Path=/; Max-Age=0'
+
+  return http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost')
+      const cookies = parseCookies(req)
+      const loggedIn = sessions.has(cookies.session)
+      const pathname = url.pathname.replace(/\/+$/, '') || '/'
+
+      if (req.method === 'GET' && (pathname === '/' || pathname === '/login')) {
+        return send(res, 200, loginPage(cookies.flash), { 'Set-Cookie': clearFlash })
+      }
+
+      if (req.method === 'POST' && pathname === '/authenticate') {
+        const form = new URLSearchParams((await readBody(req)).toString())
+
+        if (form.get('username') !== VALID_USER.username) {
+          return redirect(res, '/login', [flashCookie('error', MESSAGES.invalidUsername)])
+        }
+        if (form.get('password') !== VALID_USER.password) {
+          return redirect(res, '/login', [flashCookie('error', MESSAGES.invalidPassword)])
+        }
+
+        const token = crypto.randomBytes(16).toString('hex')
+        sessions.add(token)
+        return redirect(res, '/secure', [
+          'session=' + token + '; Path=/; HttpOnly',
+          flashCookie('success', MESSAGES.loggedIn)
+        ])
+      }
+
+      if (req.method === 'GET' && pathname === '/secure') {
+        if (!loggedIn) {
+          return redirect(res, '/login', [flashCookie('error', MESSAGES.mustLogin)])
+        }
+        return send(res, 200, securePage(cookies.flash), { 'Set-Cookie': clearFlash })
+      }
+
+      if (req.method === 'GET' && pathname === '/logout') {
+        sessions.delete(cookies.session)
+        return redirect(res, '/login', [
+          'session=; Path=/; Max-Age=0',
+          flashCookie('success', MESSAGES.loggedOut)
+        ])
+      }
+
+      if (req.method === 'GET' && pathname === '/upload') {
+        return send(res, 200, uploadPage())
+      }
+
+      if (req.method === 'POST' && pathname === '/upload') {
+        const body = await readBody(req)
+        const file = parseMultipart(body, req.headers['content-type']).find((part) => part.filename)
+
+        if (!file) {
+          return send(res, 500, page('<h1>Internal Server Error</h1>'))
+        }
+        files[file.filename] = file.data
+        return send(res, 200, uploadedPage(file.filename))
+      }
+
+      if (req.method === 'GET' && pathname === '/download') {
+        return send(res, 200, downloadPage(files))
+      }
+
+      if (req.method === 'GET' && pathname.startsWith('/download/')) {
+        const name = decodeURIComponent(pathname.slice('/download/'.length))
+        if (!files[name]) {
+          return send(res, 404, page('<h1>Not Found</h1>'))
+        }
+        return send(res, 200, files[name], {
+          'Content-Type': 'application/octet-stream',
+          'Content-Disposition': 'attachment; filename="' + name + '"'
+        })
+      }
+
+      if (req.method === 'GET' && pathname === '/iframe') {
+        return send(res, 200, iframePage())
+      }
+
+      if (req.method === 'GET' && pathname === '/iframe/editor') {
+        return send(res, 200, editorDocument())
+      }
+
+      return send(res, 404, page('<h1>Not Found</h1>'))
+    } catch (err) {
+      send(res, 500, page('<h1>' + escapeHtml(err.message) + '</h1>'))
+    }
+  })
+}
+
+module.exports = {
+  VALID_USER,
+  MESSAGES,
+  createHerokuappServer
+}
@@ -0,0 +1,57 @@
+/*
+ * httpbin.js - Offline stand-in for httpbin.org
+ * =============================================
+ *
+ * Answers with the status a test asks for, so retries and token refresh
+ * can be tested without a flaky backend:
+ *
+ *   ANY  /status/<code>            Answers with that status
+ *   ANY  /status/<code>,<code>...  One code per call in that order, then
+ *                                  the last one again - unlike httpbin,
+ *                                  which picks at random
+ *
+ * Call resetState() (the resetApiState task) to start every sequence over.
+ */
+const http = require('http')
+
+// Status codes on demand, e.g. /status/503,200 for a backend that recovers
+function statusFor(calls, url) {
+  const [route, codes] = url.pathname.split('/').filter(Boolean)
+  const statuses = route === 'status' && codes ? codes.split(',').map(Number) : []
+  if (statuses.length === 0 || statuses.some((status) => !(status >= 200 && status <= 599))) {
+    return 404
+  }
+
+  const key = url.pathname + url.search
+  const call = calls[key] || 0
+  calls[key] = call + 1
+  return statuses[Math.min(call, statuses.length - 1)]
+}
+
+function createHttpbinServer() {
+  let calls = {}
+
+  const server = http.createServer((req, res) => {
+    const status = statusFor(calls, new URL(req.url, 'http://localhost'))
+
+    // Drain the body so the connection can be reused
+    req.resume()
+    req.on('end', () => {
+      res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-cache'
+      })
+      res.end('{}')
+    })
+  })
+
+  server.resetState = () => {
+    calls = {}
+  }
+
+  return server
+}
+
+module.exports = {
+  createHttpbinServer
+}
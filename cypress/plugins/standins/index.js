@@ -0,0 +1,92 @@
+/*
+ * standins/index.js - Start local stand-ins for external sites
+ * ============================================================
+ *
+ * A profile lists the sites it wants served locally:
+ *   standins: ['herokuapp', 'jsonPlaceholder', 'reqres', 'httpbin']
+ *
+ * setupNodeEvents starts the servers on free ports and points
+ * the matching entry of the site registry (Cypress.env('sites')) at it,
+ * so specs using cy.visitSite() / siteUrl() run offline unchanged.
+ * The list can also come from any env layer, e.g. CYPRESS_standins=herokuapp
+ * or --env standins='["herokuapp"]'
+ */
+const { createHerokuappServer } = require('./herokuapp')
+const { createApiServer } = require('./api')
+const { createHttpbinServer } = require('./httpbin')
+
+// Local servers - one server can stand in for several sites
+const SERVERS = {
+  herokuapp: createHerokuappServer,
+  api: createApiServer,
+  httpbin: createHttpbinServer
+}
+
+// Site name -> server it runs on and the path the site's base URL includes
+const STANDINS = {
+  herokuapp: { server: 'herokuapp', basePath: '' },
+  jsonPlaceholder: { server: 'api', basePath: '' },
+  reqres: { server: 'api', basePath: '/api' },
+  httpbin: { server: 'httpbin', basePath: '' }
+}
+
+// Servers survive config reloads in `cypress open`, so start each only once
+const running = {}
+
+function listen(server) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port))
+  })
+}
+
+async function startServer(serverName) {
+  if (!running[serverName]) {
+    const server = SERVERS[serverName]()
+    const port = await listen(server)
+    running[serverName] = { server, origin: 'http://127.0.0.1:' + port }
+  }
+  return running[serverName].origin
+}
+
+/*
+ * startStandins - Start the named stand-ins
+ *
+ * Returns: { siteName: baseUrl } for merging into the site registry
+ */
+async function startStandins(names = []) {
+  const urls = {}
+  const list = typeof names === 'string' ? names.split(',') : names
+
+  for (const name of list.map((entry) => String(entry).trim()).filter(Boolean)) {
+    const standin = STANDINS[name]
+    if (!standin) {
+      throw new Error(
+        'Unknown stand-in "' + name + '". Available stand-ins: ' + Object.keys(STANDINS).join(', ')
+      )
+    }
+
+    urls[name] = (await startServer(standin.server)) + standin.basePath
+    console.log('Stand-in ' + name + ' listening on ' + urls[name])
+  }
+
+  return urls
+}
+
+// Tasks for spec hooks - see configfactory.js
+const standinTasks = {
+  // Restore the stand-in API's seed data and start httpbin's status
+  // sequences over - null when the API isn't running
+  resetApiState() {
+    if (running.httpbin) {
+      running.httpbin.server.resetState()
+    }
+    return running.api ? running.api.server.resetState() : null
+  }
+}
+
+module.exports = {
+  STANDINS,
+  startStandins,
+  standinTasks
+}
@@ -0,0 +1,145 @@
+/*
+ * apiSnapshot.js - Compare API responses with stored snapshots
+ * ============================================================
+ *
+ * Pure helpers used by the matchApiSnapshot command. Values that change
+ * on every call (ids, timestamps, tokens) are left out with ignore paths:
+ *
+ *   $.id              one property
+ *   $.data[0].avatar  array index
+ *   $.data[*].id      every item of an array
+ *   $..createdAt      the key at any depth
+ *
+ * Ignored values are stored as "[ignored]", so the snapshot still shows
+ * that the field exists.
+ */
+
+export const IGNORED = '[ignored]'
+
+// "$.data[*].id" -> [{ key: 'data' }, { any: true }, { key: 'id' }]
+function parsePath(path) {
+  if (!path.startsWith('$')) {
+    throw new Error('Snapshot ignore paths start with "$" (got "' + path + '")')
+  }
+  const tokens = []
+  const pattern = /\.\.([^.[\]]+)|\.([^.[\]]+)|\[(\*|\d+)\]|\["([^"]+)"\]/g
+  const rest = path.slice(1)
+  let consumed = 0
+  let match
+
+  while ((match = pattern.exec(rest)) !== null) {
+    if (match.index !== consumed) break
+    consumed += match[0].length
+    if (match[1]) tokens.push({ deep: match[1] })
+    else if (match[2]) tokens.push({ key: match[2] })
+    else if (match[3] === '*') tokens.push({ any: true })
+    else if (match[3]) tokens.push({ key: Number(match[3]) })
+    else tokens.push({ key: match[4] })
+  }
+
+  if (consumed !== rest.length) {
+    throw new Error('Cannot read snapshot ignore path "' + path + '"')
+  }
+  return tokens
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object'
+}
+
+// Replace what the tokens point at, in place
+function redactPath(node, tokens) {
+  if (!isContainer(node) || tokens.length === 0) {
+    return
+  }
+  const [token, ...rest] = tokens
+
+  if (token.deep) {
+    Object.keys(node).forEach((key) => {
+      if (key === token.deep) {
+        if (rest.length === 0) node[key] = IGNORED
+        else redactPath(node[key], rest)
+      }
+      redactPath(node[key], tokens)
+    })
+    return
+  }
+
+  const keys = token.any ? Object.keys(node) : [token.key]
+  keys.forEach((key) => {
+    if (!(key in node)) return
+    if (rest.length === 0) node[key] = IGNORED
+    else redactPath(node[key], rest)
+  })
+}
+
+/*
+ * redact - A copy of the value with the ignore paths replaced by "[ignored]"
+ */
+export function redact(value, ignorePaths = []) {
+  const copy = value === undefined ? null : JSON.parse(JSON.stringify(value))
+  ignorePaths.forEach((path) => {
+    const tokens = parsePath(path)
+    if (tokens.length === 0) {
+      throw new Error('Ignoring "$" would ignore the whole response')
+    }
+    redactPath(copy, tokens)
+  })
+  return copy
+}
+
+function childPath(path, key) {
+  if (typeof key === 'number') return path + '[' + key + ']'
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? path + '.' + key : path + '[' + JSON.stringify(key) + ']'
+}
+
+function kindOf(value) {
+  if (value === null) return 'null'
+  return Array.isArray(value) ? 'array' : typeof value
+}
+
+// 'object {"x":1}', 'null'
+function describeValue(value) {
+  return value === null ? 'null' : kindOf(value) + ' ' + JSON.stringify(value)
+}
+
+/*
+ * diffSnapshot - Structural differences between the snapshot and a value
+ *
+ * Returns: a list of readable lines - empty when they match
+ */
+export function diffSnapshot(expected, actual, path = '$', lines = []) {
+  const expectedKind = kindOf(expected)
+  const actualKind = kindOf(actual)
+
+  if (expectedKind !== actualKind) {
+    lines.push(path + ': expected ' + describeValue(expected) + ', got ' + describeValue(actual))
+    return lines
+  }
+
+  if (expectedKind === 'array') {
+    const length = Math.max(expected.length, actual.length)
+    for (let index = 0; index < length; index++) {
+      if (index >= actual.length) lines.push(childPath(path, index) + ': missing (expected ' + JSON.stringify(expected[index]) + ')')
+      else if (index >= expected.length) lines.push(childPath(path, index) + ': unexpected ' + JSON.stringify(actual[index]))
+      else diffSnapshot(expected[index], actual[index], childPath(path, index), lines)
+    }
+    return lines
+  }
+
+  if (expectedKind === 'object') {
+    Object.keys(expected).forEach((key) => {
+      if (!(key in actual)) lines.push(childPath(path, key) + ': missing (expected ' + JSON.stringify(expected[key]) + ')')
+      else diffSnapshot(expected[key], actual[key], childPath(path, key), lines)
+    })
+    Object.keys(actual).filter((key) => !(key in expected)).forEach((key) => {
+      lines.push(childPath(path, key) + ': unexpected ' + JSON.stringify(actual[key]))
+    })
+    return lines
+  }
+
+  if (expected !== actual) {
+    lines.push(path + ': expected ' + JSON.stringify(expected) + ', got ' + JSON.stringify(actual))
+  }
+  return lines
+}
@@ -0,0 +1,95 @@
+/*
+ * authTokens.js - One place for API auth tokens
+ * =============================================
+ *
+ * apiLogin, loginViaAPI and apiAuthRequest all store and read tokens
+ * here, cached per service (the site name in the registry) and per
+ * identity (a role from the loginCredentials fixture such as 'adminUser',
+ * or an email):
+ *
+ *   reqres:adminUser          -> { token, expiresAt, login: { url, body } }
+ *   reqres:eve.holt@reqres.in    (cy.api.login, or apiAuthRequest({ as: email }))
+ *
+ * The cache lives for the whole spec, so a test logs in once and later
+ * tests reuse the token. A token is dropped when it expires (the JWT
+ * "exp" claim, otherwise Cypress.env('authTokenTtl') seconds, default
+ * 15 minutes) or when a request with it gets a 401; the stored login is
+ * then replayed to get a fresh one. cy.clearAllData() empties the cache.
+ *
+ * The identity that logged in last is the active one - apiAuthRequest
+ * uses it when no { as } is given. Its token is mirrored to
+ * Cypress.env('authToken') for code that reads it directly.
+ */
+
+const DEFAULT_TTL_SECONDS = 15 * 60
+
+const tokens = new Map()
+let activeKey = null
+
+export function tokenKey(service, identity) {
+  return service + ':' + identity
+}
+
+// Seconds until expiry from a JWT "exp" claim, or null for opaque tokens
+function jwtExpiry(token) {
+  const parts = String(token).split('.')
+  if (parts.length !== 3) {
+    return null
+  }
+  try {
+    const payload = JSON.parse(atob(parts[1].replace(/-/g, '+').replace(/_/g, '/')))
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null
+  } catch (err) {
+    return null
+  }
+}
+
+/*
+ * storeToken - Cache a token and make its identity the active one
+ *
+ * login: { url, body } - the request that produced it, replayed on refresh
+ */
+export function storeToken(key, token, login) {
+  const ttl = Number(Cypress.env('authTokenTtl')) || DEFAULT_TTL_SECONDS
+  const expiresAt = jwtExpiry(token) || Date.now() + ttl * 1000
+
+  tokens.set(key, { token, expiresAt, login })
+  activeKey = key
+  Cypress.env('authToken', token)
+}
+
+// The cached entry for an identity, or null when missing or expired
+export function getTokenEntry(key) {
+  const entry = tokens.get(key)
+  if (!entry) {
+    return null
+  }
+  return entry.token && Date.now() < entry.expiresAt ? entry : null
+}
+
+// Forget a token but keep how to log in again
+export function invalidateToken(key) {
+  const entry = tokens.get(key)
+  if (entry) {
+    tokens.set(key, { ...entry, token: null, expiresAt: 0 })
+  }
+  if (key === activeKey) {
+    Cypress.env('authToken', null)
+  }
+}
+
+// The stored login for an identity, even after its token expired
+export function getLogin(key) {
+  const entry = tokens.get(key)
+  return entry ? entry.login : null
+}
+
+export function getActiveKey() {
+  return activeKey
+}
+
+export function clearTokens() {
+  tokens.clear()
+  activeKey = null
+  Cypress.env('authToken', null)
+}
@@ -0,0 +1,180 @@
+/*
+ * commandRegistry.js - Catalog of custom commands with collision checks
+ * =====================================================================
+ *
+ * Loaded first by e2e.js. It wraps Cypress.Commands.add so that:
+ *
+ *   1. Adding a name twice stops the run when the support file loads.
+ *      Without this the later definition silently wins. To replace a
+ *      command on purpose, use Cypress.Commands.overwrite.
+ *
+ *   2. Commands can live in a namespace:
+ *
+ *        Cypress.Commands.add('login', { namespace: 'api' }, (email, password) => { ... })
+ *
+ *        cy.api.login(email, password)   // same command as cy.apiLogin(...)
+ *
+ *      The flat name (namespace + Name) is what Cypress registers, so a
+ *      namespaced command also collides with a flat one of that name.
+ *      Only parent commands can be namespaced.
+ *
+ *   3. cy.listCommands() yields every command with its type, signature
+ *      and description. Descriptions come from the { description }
+ *      option, else from the doc comment above the command in commands.js.
+ */
+
+const COMMANDS_SOURCE = 'cypress/support/commands.js'
+
+const catalog = new Map()
+const namespaces = {}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+// The parameter list of a command callback, e.g. "email, password, authEndpoint = ..."
+function parameterList(fn) {
+  const source = fn.toString()
+  const start = source.indexOf('(')
+  if (start === -1 || source.slice(0, start).includes('=>')) {
+    // Single parameter arrow function without parentheses: x => ...
+    return source.split('=>')[0].trim()
+  }
+
+  let depth = 0
+  for (let index = start; index < source.length; index++) {
+    if (source[index] === '(') depth++
+    if (source[index] === ')') depth--
+    if (depth === 0) {
+      return source.slice(start + 1, index).replace(/\s+/g, ' ').trim()
+    }
+  }
+  return ''
+}
+
+function splitParameters(list) {
+  const parts = []
+  let depth = 0
+  let current = ''
+  for (const char of list) {
+    if ('([{'.includes(char)) depth++
+    if (')]}'.includes(char)) depth--
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim())
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  if (current.trim()) {
+    parts.push(current.trim())
+  }
+  return parts
+}
+
+function commandType(options) {
+  if (!options.prevSubject) return 'parent'
+  const subjects = [].concat(options.prevSubject)
+  return subjects.includes('optional') ? 'dual' : 'child'
+}
+
+function buildSignature(name, fn, type) {
+  const parameters = splitParameters(parameterList(fn))
+  // Child and dual commands receive the subject first
+  const shown = type === 'parent' ? parameters : parameters.slice(1)
+  return (type === 'parent' ? 'cy.' : '.') + name + '(' + shown.join(', ') + ')'
+}
+
+function attachNamespace(namespace, name, fullName) {
+  if (!namespaces[namespace]) {
+    if (cy[namespace] !== undefined) {
+      throw new Error('Command namespace "' + namespace + '" clashes with the existing cy.' + namespace)
+    }
+    namespaces[namespace] = {}
+    cy[namespace] = namespaces[namespace]
+  }
+  namespaces[namespace][name] = (...args) => cy[fullName](...args)
+}
+
+const originalAdd = Cypress.Commands.add.bind(Cypress.Commands)
+
+Cypress.Commands.add = (name, optionsOrFn, maybeFn) => {
+  const hasOptions = typeof optionsOrFn === 'object' && optionsOrFn !== null
+  const { namespace, description, ...options } = hasOptions ? optionsOrFn : {}
+  const fn = hasOptions ? maybeFn : optionsOrFn
+  const fullName = namespace ? namespace + capitalize(name) : name
+  const type = commandType(options)
+
+  if (catalog.has(fullName)) {
+    throw new Error(
+      'Custom command "' + fullName + '" is registered twice - the second definition would silently win.\n' +
+      '  First:  ' + catalog.get(fullName).signature + '\n' +
+      '  Second: ' + buildSignature(fullName, fn, type) + '\n' +
+      'Rename one of them, or use Cypress.Commands.overwrite() to replace it on purpose.'
+    )
+  }
+  if (namespace && type !== 'parent') {
+    throw new Error('Custom command "' + fullName + '": only parent commands can be namespaced')
+  }
+
+  originalAdd(fullName, options, fn)
+
+  catalog.set(fullName, {
+    name: fullName,
+    namespace: namespace || null,
+    alias: namespace ? 'cy.' + namespace + '.' + name : null,
+    type,
+    signature: buildSignature(fullName, fn, type),
+    description: description || ''
+  })
+
+  if (namespace) {
+    attachNamespace(namespace, name, fullName)
+  }
+}
+
+export function getCommandCatalog() {
+  return Array.from(catalog.values())
+}
+
+// "🔐 API LOGIN - Authenticate and Store Token" -> "Authenticate and Store Token"
+function docDescriptions(source) {
+  const descriptions = {}
+  const pattern = /\/\*\*?\s*\n((?:(?!\*\/)[\s\S])*)\*\/\s*\nCypress\.Commands\.add\('([^']+)'(?:,\s*\{[^}]*namespace:\s*'([^']+)')?/g
+  let match
+  while ((match = pattern.exec(source)) !== null) {
+    const [, comment, name, namespace] = match
+    const firstLine = comment.split('\n').map((line) => line.replace(/^\s*\*\s?/, '').trim())
+      .find((line) => line && !/^[=-]+$/.test(line)) || ''
+    const dash = firstLine.indexOf(' - ')
+    descriptions[namespace ? namespace + capitalize(name) : name] = dash === -1 ? firstLine : firstLine.slice(dash + 3)
+  }
+  return descriptions
+}
+
+/**
+ * 📚 LIST COMMANDS - Catalog of every custom command
+ * --------------------------------------------------
+ * @param {string} [filter] - Only commands whose name contains this text
+ *
+ * @example cy.listCommands().then((commands) => { ... })
+ * @example cy.listCommands('api')
+ */
+Cypress.Commands.add('listCommands', { description: 'Catalog of every custom command' }, (filter = '') => {
+  return cy.readFile(COMMANDS_SOURCE, { log: false }).then((source) => {
+    const descriptions = docDescriptions(source)
+    const commands = getCommandCatalog()
+      .filter((command) => command.name.toLowerCase().includes(filter.toLowerCase()))
+      .map((command) => ({ ...command, description: command.description || descriptions[command.name] || '' }))
+
+    commands.forEach((command) => {
+      Cypress.log({
+        name: command.type,
+        message: (command.alias ? command.alias + ' / ' : '') + command.signature +
+          (command.description ? ' - ' + command.description : '')
+      })
+    })
+
+    return commands
+  })
+})
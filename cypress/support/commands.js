@@ -34,6 +34,22 @@
  * ============================================================================
  */
 
+import { siteUrl, getSites } from './sites'
+import { SECRET_KEY_PATTERN } from './secretKeys'
+import { buildScenarioRoute } from './mockScenarios'
+import { resolveChaos, chaosHandler } from './networkChaos'
+import { validateJsonSchema, formatSchemaErrors } from './jsonSchema'
+import { tokenKey, storeToken, getTokenEntry, invalidateToken, getLogin, getActiveKey, clearTokens } from './authTokens'
+import { locateSite, findBudget } from './latency'
+import { latencyStats } from './latencyStats'
+import { addTestContext } from './reportContext'
+import { trackResource, untrackResource } from './resourceCleanup'
+import { paginationSettings, firstPageRequest, readPage, nextPageRequest, checkPagination } from './pagination'
+import { redact, diffSnapshot } from './apiSnapshot'
+import { resolveRetryPolicy, retryDecision } from './retryPolicy'
+import { recordRetries } from './retryLog'
+import { uncheckedRequest, checkResponse } from './requestChecks'
+
 // ============================================================================
 // SECTION 1: PARENT COMMANDS (Start a new chain)
 // ============================================================================
@@ -68,8 +84,8 @@ Cypress.Commands.add('login', (userType = 'standard') => {
 
     cy.log(`🔐 Logging in as: ${userType} (${user.username})`)
 
-    // Visit login page
-    cy.visit(data.loginPage.url)
+    // Visit login page (site name resolved from the envconfig.js registry)
+    cy.visitSite(data.loginPage.site, data.loginPage.path)
 
     // Perform login actions
     cy.get(selectors.usernameInput)
@@ -161,30 +177,28 @@ Cypress.Commands.add('fillForm', (formData) => {
 })
 
 /**
- * 🌐 API LOGIN - Login via API (faster than UI)
- * ---------------------------------------------
+ * 🌐 API LOGIN AS - Login via API by role (faster than UI)
+ * --------------------------------------------------------
  * BENEFIT 4: ENFORCE BEST PRACTICES
  * 
  * For tests that don't specifically test login UI,
  * using API login is faster and more reliable.
+ * The token is cached for later cy.apiAuthRequest({ as: role }) calls.
  * 
- * @param {string} userType - Type of user
- * @example cy.apiLogin('admin')
+ * @param {string} role - Identity from apiUsers.reqres in the loginCredentials fixture
+ * @example cy.api.loginAs('adminUser')
  */
-Cypress.Commands.add('apiLogin', (userType = 'standard') => {
-  cy.fixture('customCommandData').then((data) => {
-    const user = data.users[userType]
+Cypress.Commands.add('loginAs', { namespace: 'api' }, (role = 'valid') => {
+  cy.fixture('loginCredentials').then((data) => {
+    const user = data.apiUsers.reqres[role]
+    if (!user) {
+      throw new Error(`cy.api.loginAs: no apiUsers.reqres.${role} entry in the loginCredentials fixture`)
+    }
 
-    cy.log(`🌐 API Login as: ${userType}`)
+    cy.log(`🌐 API Login as: ${role}`)
 
-    // Simulate API login (in real scenario, this would hit your auth endpoint)
-    cy.request({
-      method: 'GET',
-      url: data.apiEndpoints.users,
-    }).then((response) => {
-      expect(response.status).to.eq(200)
-      cy.log('✓ API authentication simulated')
-    })
+    const login = { url: siteUrl('reqres', '/login'), body: { email: user.email, password: user.password } }
+    return requestToken(tokenKey('reqres', role), login).then(({ token }) => token)
   })
 })
 
@@ -308,6 +322,7 @@ Cypress.Commands.add('withTimeout', { prevSubject: 'optional' }, (subject, ms) =
 /**
  * 🧹 CLEAR ALL DATA - Clears cookies, localStorage, sessionStorage
  * ----------------------------------------------------------------
+ * Also empties the API token cache (see authTokens.js)
  * BEST PRACTICE: Clean state before tests
  * 
  * @example cy.clearAllData()
@@ -319,7 +334,8 @@ Cypress.Commands.add('clearAllData', () => {
   cy.window().then((win) => {
     win.sessionStorage.clear()
   })
-  cy.log('✓ All browser data cleared')
+  clearTokens()
+  cy.log('✓ All browser data and API tokens cleared')
 })
 
 /**
@@ -461,11 +477,21 @@ Cypress.Commands.add('apiPostAndValidate', (url, body, expectedStatus = 201) =>
  * @param {Object} options - Request configuration
  * @param {string} options.method - HTTP method (GET, POST, PUT, PATCH, DELETE)
  * @param {string} options.url - API endpoint URL
+ * @param {string} [options.service] - Site name from the envconfig.js registry (instead of url)
+ * @param {string} [options.path] - Path appended to the service base URL
  * @param {Object} [options.body] - Request body for POST/PUT/PATCH
  * @param {Object} [options.headers] - Custom headers
  * @param {Object} [options.qs] - Query string parameters
  * @param {number} [options.timeout] - Request timeout in ms
  * @param {boolean} [options.failOnStatusCode] - Fail on non-2xx status (default: false)
+ * @param {Object|false} [options.retry] - Changes to the profile's apiRetry policy, or false
+ * 
+ * Transient failures (429/502/503/504 on idempotent methods by default)
+ * are resent with exponential backoff, honoring Retry-After - see
+ * retryPolicy.js. Each retry is logged and added to the report, and the
+ * response carries the number of attempts it took. The contract and
+ * latency checks look at that final response only. A network error on
+ * those methods is resent by Cypress itself (retryOnNetworkFailure).
  * 
  * @example 
  * cy.apiRequest({
@@ -474,18 +500,27 @@ Cypress.Commands.add('apiPostAndValidate', (url, body, expectedStatus = 201) =>
  *   body: { name: 'John' },
  *   headers: { Authorization: 'Bearer token' }
  * })
+ * cy.apiRequest({ service: 'reqres', path: '/login', method: 'POST', body: { email, password } })
+ * cy.apiRequest({ service: 'reqres', path: '/users', retry: { maxAttempts: 5 } })
  */
 Cypress.Commands.add('apiRequest', (options) => {
   const {
     method = 'GET',
-    url,
+    service,
+    path = '',
     body = null,
     headers = {},
     qs = {},
     timeout = 30000,
-    failOnStatusCode = false
+    failOnStatusCode = false,
+    retry
   } = options
 
+  // A named service wins over a hardcoded URL
+  const url = service ? siteUrl(service, path) : options.url
+  const policy = resolveRetryPolicy(Cypress.env('apiRetry'), retry)
+  const retriesNetwork = policy.networkErrors && policy.maxAttempts > 1 && policy.methods.includes(method.toUpperCase())
+
   cy.log(`📡 API ${method}: ${url}`)
 
   const requestConfig = {
@@ -496,7 +531,10 @@ Cypress.Commands.add('apiRequest', (options) => {
       'Accept': 'application/json',
       ...headers
     },
-    failOnStatusCode,
+    // Status codes are checked below, after the retries
+    failOnStatusCode: false,
+    // A network error ends a cy.request(), so Cypress resends the attempt itself
+    retryOnNetworkFailure: retriesNetwork,
     timeout
   }
 
@@ -510,13 +548,97 @@ Cypress.Commands.add('apiRequest', (options) => {
     requestConfig.qs = qs
   }
 
-  return cy.request(requestConfig).then((response) => {
+  // A host that answered may go down before the retry, and a refused
+  // resend would end the test - so it is checked before every retry
+  const reconnect = (attempt) => (retriesNetwork && attempt > 1
+    ? cy.task('checkConnection', { url, timeoutMs: timeout }, { log: false })
+    : cy.wrap(null, { log: false }))
+
+  const statuses = []
+
+  const resend = (attempt, outcome, decision) => {
+    Cypress.log({
+      name: 'retry',
+      message: `🔁 ${outcome} on attempt ${attempt}/${policy.maxAttempts} - retrying in ${decision.delayMs}ms (${decision.reason})`
+    })
+    return cy.wait(decision.delayMs, { log: false }).then(() => send(attempt + 1))
+  }
+
+  const report = (attempt, decision) => {
+    if (attempt > 1) {
+      const outcome = decision.reason || 'recovered'
+      recordRetries({ method: method.toUpperCase(), url, statuses: statuses.slice(), outcome })
+      Cypress.log({ name: 'retry', message: `🔁 ${statuses.join(' -> ')} - ${outcome}` })
+    } else if (decision.reason && policy.maxAttempts > 1) {
+      Cypress.log({ name: 'retry', message: `🔁 ${statuses[0]} not retried - ${decision.reason}` })
+    }
+  }
+
+  // Attempts skip the contract and latency checks - only the final response is checked
+  const send = (attempt) => reconnect(attempt).then((networkError) => {
+    if (networkError) {
+      statuses.push('network error')
+      const decision = retryDecision(policy, method, null, attempt)
+      if (decision.retry) {
+        return resend(attempt, `network error (${networkError})`, decision)
+      }
+      report(attempt, decision)
+      throw new Error(`apiRequest: ${method} ${url} could not connect after ${attempt} attempt(s): ${networkError}`)
+    }
+
+    return uncheckedRequest(requestConfig).then((response) => {
+      statuses.push(response.status)
+      const decision = retryDecision(policy, method, response, attempt)
+      if (decision.retry) {
+        return resend(attempt, response.status, decision)
+      }
+
+      report(attempt, decision)
+      checkResponse(requestConfig, response)
+      return cy.wrap(Object.assign(response, { attempts: attempt }), { log: false })
+    })
+  })
+
+  return send(1).then((response) => {
+    if (failOnStatusCode && response.status >= 400) {
+      throw new Error(`apiRequest: ${method} ${url} answered ${response.status} after ${response.attempts} attempt(s)`)
+    }
     cy.log(`✅ Response Status: ${response.status}`)
     cy.log(`⏱️ Response Time: ${response.duration}ms`)
     return cy.wrap(response)
   })
 })
 
+/*
+ * requestToken - POST a login and cache the token (see authTokens.js)
+ *
+ * Yields { token, error } - token is null and error the response body
+ * when the login was rejected
+ */
+function requestToken(key, login) {
+  Cypress.log({ name: 'login', message: `🔑 ${key}` })
+
+  return cy.request({
+    method: 'POST',
+    url: login.url,
+    body: login.body,
+    failOnStatusCode: false
+  }).then((response) => {
+    if (response.status === 200 && response.body.token) {
+      storeToken(key, response.body.token, login)
+      return { token: response.body.token, error: null }
+    }
+    cy.log(`❌ Login for ${key} failed - Status: ${response.status}`)
+    return cy.wrap({ token: null, error: response.body }, { log: false })
+  })
+}
+
+// The registry site a login URL belongs to ('reqres'), else its host - the service part of a token key
+function serviceOf(url) {
+  const location = locateSite(getSites(), url)
+  return location ? location.site : new URL(url).host
+}
+
 /**
  * 🔐 API LOGIN - Authenticate and Store Token
  * ------------------------------------------
@@ -524,7 +646,7 @@ Cypress.Commands.add('apiRequest', (options) => {
  * 
  * ENTERPRISE BENEFIT:
  * - Handles authentication flow
- * - Stores token for reuse
+ * - Stores token for reuse (cached for the spec, see authTokens.js)
  * - Supports different auth endpoints
  * 
  * @param {string} email - User email
@@ -532,52 +654,191 @@ Cypress.Commands.add('apiRequest', (options) => {
  * @param {string} [authEndpoint] - Custom auth endpoint
  * 
  * @example cy.apiLogin('user@test.com', 'password123')
+ * @example cy.api.login('user@test.com', 'password123')
  */
-Cypress.Commands.add('apiLogin', (email, password, authEndpoint = 'https://reqres.in/api/login') => {
+Cypress.Commands.add('login', { namespace: 'api' }, (email, password, authEndpoint = siteUrl('reqres', '/login')) => {
   cy.log(`🔐 API Login: ${email}`)
-  
-  return cy.request({
-    method: 'POST',
-    url: authEndpoint,
-    body: { email, password },
-    failOnStatusCode: false
-  }).then((response) => {
-    if (response.status === 200 && response.body.token) {
-      // Store token in Cypress environment
-      Cypress.env('authToken', response.body.token)
+
+  const login = { url: authEndpoint, body: { email, password } }
+
+  // Cached under the same key as apiAuthRequest({ as: email, authService })
+  return requestToken(tokenKey(serviceOf(authEndpoint), email), login).then(({ token, error }) => {
+    if (token) {
       cy.log(`✅ Login successful - Token stored`)
-      return cy.wrap({ success: true, token: response.body.token })
-    } else {
-      cy.log(`❌ Login failed - Status: ${response.status}`)
-      return cy.wrap({ success: false, error: response.body })
+      return cy.wrap({ success: true, token })
     }
+    return cy.wrap({ success: false, error })
   })
 })
 
 /**
  * 🔗 API AUTHENTICATED REQUEST - Request with Auth Token
  * -----------------------------------------------------
- * Makes an authenticated API request using stored token
+ * Makes an authenticated API request using a cached token
  * 
- * @param {Object} options - Same options as apiRequest
+ * The identity is picked with { as }: a role from the apiUsers section
+ * of the loginCredentials fixture for authService (default 'reqres').
+ * It logs in on first use and again when the token expired or the
+ * request got a 401. Without { as } the last logged-in identity is used.
+ * 
+ * @param {Object} options - Same options as apiRequest, plus:
+ * @param {string} [options.as] - Identity, e.g. 'adminUser'
+ * @param {string} [options.authService] - Site that issues the token (default: 'reqres')
  * 
  * @example cy.apiAuthRequest({ method: 'GET', url: '/api/protected' })
+ * @example cy.apiAuthRequest({ as: 'adminUser', service: 'reqres', path: '/users/2' })
  */
 Cypress.Commands.add('apiAuthRequest', (options) => {
-  const token = Cypress.env('authToken')
-  
-  if (!token) {
-    cy.log('⚠️ No auth token found - Proceeding without authentication')
+  const { as, authService = 'reqres', ...requestOptions } = options
+  const key = as ? tokenKey(authService, as) : getActiveKey()
+
+  const withToken = (token) => cy.apiRequest({
+    ...requestOptions,
+    headers: {
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...requestOptions.headers
+    }
+  })
+
+  // How to (re)authenticate this identity: the stored login, else the fixture
+  const loginFor = () => {
+    const stored = key && getLogin(key)
+    if (stored || !as) {
+      return cy.wrap(stored || null, { log: false })
+    }
+    return cy.fixture('loginCredentials').then((data) => {
+      const user = ((data.apiUsers || {})[authService] || {})[as]
+      if (!user) {
+        throw new Error(`apiAuthRequest: no apiUsers.${authService}.${as} entry in the loginCredentials fixture`)
+      }
+      return { url: siteUrl(authService, '/login'), body: { email: user.email, password: user.password } }
+    })
   }
 
-  const authHeaders = token ? { Authorization: `Bearer ${token}` } : {}
+  const authenticate = () => loginFor().then((login) => (login ? requestToken(key, login).then(({ token }) => token) : null))
 
-  return cy.apiRequest({
-    ...options,
-    headers: {
-      ...authHeaders,
-      ...options.headers
+  const cached = key && getTokenEntry(key)
+  const token = cached ? cy.wrap(cached.token, { log: false }) : authenticate()
+
+  return token.then((value) => {
+    if (!value) {
+      cy.log('⚠️ No auth token found - Proceeding without authentication')
     }
+
+    return withToken(value).then((response) => {
+      if (response.status !== 401 || !value) {
+        return response
+      }
+
+      cy.log(`🔄 401 with the token for ${key} - logging in again`)
+      invalidateToken(key)
+      return authenticate().then(withToken)
+    })
+  })
+})
+
+/**
+ * ⏱️ MEASURE LATENCY - Repeat a request and summarize response times
+ * ------------------------------------------------------------------
+ * Sends the same apiRequest several times, one after another, and yields
+ * { count, min, median, p95, max, budgetMs, samples } in ms. budgetMs is
+ * the endpoint's budget from the latency block in envconfig.js, so tests
+ * can assert on it. Every call is also checked by latencyCheck.js.
+ * 
+ * @param {Object} options - Same options as apiRequest
+ * @param {number} [times] - Number of requests (default: 10)
+ * 
+ * @example
+ * cy.measureLatency({ service: 'jsonPlaceholder', path: '/posts/1' }, 20)
+ *   .then((stats) => expect(stats.p95).to.be.at.most(stats.budgetMs))
+ */
+Cypress.Commands.add('measureLatency', (options, times = 10) => {
+  const method = (options.method || 'GET').toUpperCase()
+  const url = options.service ? siteUrl(options.service, options.path || '') : options.url
+  const durations = []
+
+  cy.log(`⏱️ Measuring ${method} ${url} x${times}`)
+
+  Cypress._.times(times, () => {
+    cy.apiRequest(options).then((response) => {
+      durations.push(response.duration)
+    })
+  })
+
+  return cy.wrap(durations, { log: false }).then(() => {
+    const location = locateSite(Cypress.env('sites') || {}, url)
+    const { budgetMs } = location
+      ? findBudget(Cypress.env('latency'), location.site, method, location.path)
+      : { budgetMs: null }
+    const stats = { ...latencyStats(durations), budgetMs, samples: durations }
+
+    Cypress.log({
+      name: 'latency',
+      message: `${method} ${url}: min ${stats.min} / median ${stats.median} / p95 ${stats.p95} / max ${stats.max} ms` +
+        (budgetMs ? ` (budget ${budgetMs})` : '')
+    })
+    addTestContext(`Latency: ${method} ${url}`, stats)
+
+    return stats
+  })
+})
+
+/**
+ * 📚 API PAGINATE - Walk every page of a list endpoint
+ * ---------------------------------------------------
+ * Requests page after page until the API says there are no more, then
+ * checks the pagination itself: no item on two pages, the same total on
+ * every page and matching the items seen, and (link-header) correct
+ * rel="next"/"prev"/"last" links. Yields the items of all pages.
+ * 
+ * @param {string} url - List endpoint, e.g. siteUrl('reqres', '/users')
+ * @param {Object} [options] - See pagination.js for every option
+ * @param {string} [options.strategy] - 'page' (default), 'offset', 'link-header' or 'cursor'
+ * @param {number} [options.pageSize] - Items per page to ask for
+ * @param {Object} [options.qs] - Extra query parameters, e.g. filters
+ * @param {string} [options.itemsPath] - Where the items are in the body, e.g. 'data'
+ * @param {number} [options.maxPages] - Safety limit (default: 100)
+ * 
+ * @example cy.apiPaginate(siteUrl('reqres', '/users'), { strategy: 'page', pageSize: 4 })
+ * @example cy.apiPaginate(siteUrl('jsonPlaceholder', '/posts'), { strategy: 'link-header' })
+ */
+Cypress.Commands.add('apiPaginate', (url, options = {}) => {
+  const settings = paginationSettings(options)
+  const pages = []
+
+  cy.log(`📚 Paginating ${url} (${settings.strategy}, ${settings.pageSize} per page)`)
+
+  const fetchPage = (request) => {
+    return cy.apiRequest({ method: 'GET', url: request.url, qs: request.qs, headers: settings.headers }).then((response) => {
+      if (response.status !== 200) {
+        throw new Error(`apiPaginate: page ${pages.length + 1} of ${url} answered ${response.status}`)
+      }
+
+      const page = readPage(response, request, settings)
+      pages.push(page)
+
+      const next = nextPageRequest(settings, request, page, pages)
+      if (!next) {
+        return
+      }
+      if (pages.length >= settings.maxPages) {
+        throw new Error(`apiPaginate: stopped after maxPages (${settings.maxPages}) pages of ${url}`)
+      }
+      return fetchPage(next)
+    })
+  }
+
+  fetchPage(firstPageRequest(url, settings))
+
+  return cy.wrap(pages, { log: false }).then(() => {
+    const problems = checkPagination(pages, settings)
+    if (problems.length > 0) {
+      throw new Error(`apiPaginate: pagination of ${url} is inconsistent:\n  ` + problems.join('\n  '))
+    }
+
+    const items = pages.reduce((all, page) => all.concat(page.items), [])
+    Cypress.log({ name: 'paginate', message: `${items.length} items on ${pages.length} page(s) of ${url}` })
+    return items
   })
 })
 
@@ -594,6 +855,9 @@ Cypress.Commands.add('apiAuthRequest', (options) => {
  * @param {Object} response - Cypress response object
  * @param {Object} schema - Expected schema { requiredFields: [], types: {} }
  * 
+ * Only checks top-level fields of one object (or the first array item).
+ * Use validateJsonSchema for nested objects and every array item.
+ * 
  * @example 
  * cy.apiRequest({ url: '/posts/1' })
  *   .validateSchema({
@@ -626,6 +890,46 @@ Cypress.Commands.add('validateSchema', { prevSubject: true }, (response, schema)
   return cy.wrap(response)
 })
 
+/**
+ * 🧬 VALIDATE JSON SCHEMA - Full JSON Schema Validation
+ * ----------------------------------------------------
+ * Validates a response body (or any value) against a JSON Schema
+ * (draft-07 subset, see cypress/support/jsonSchema.js). Nested objects
+ * and every array item are checked, and the failure lists the JSON path
+ * of each violation.
+ * 
+ * @param {Object} subject - Cypress response object, or the data itself
+ * @param {string|Object} schema - Fixture name in cypress/fixtures/schemas
+ *                                 (without .schema.json) or a schema object
+ * 
+ * @example 
+ * cy.apiRead(siteUrl('jsonPlaceholder', '/users/1')).validateJsonSchema('user')
+ * cy.apiRead(siteUrl('jsonPlaceholder', '/posts')).validateJsonSchema('posts')
+ */
+Cypress.Commands.add('validateJsonSchema', { prevSubject: true }, (subject, schema) => {
+  const isResponse = subject && typeof subject === 'object' && 'status' in subject && 'body' in subject
+  const data = isResponse ? subject.body : subject
+  const schemaName = typeof schema === 'string' ? schema : schema.title || 'inline schema'
+
+  const loadSchema = typeof schema === 'string'
+    ? cy.fixture('schemas/' + schema + '.schema.json', { log: false })
+    : cy.wrap(schema, { log: false })
+
+  return loadSchema.then((schemaObject) => {
+    const errors = validateJsonSchema(schemaObject, data)
+
+    if (errors.length > 0) {
+      throw new Error(
+        'Response does not match JSON schema "' + schemaName + '" (' + errors.length + ' violation(s)):\n  ' +
+        formatSchemaErrors(errors).join('\n  ')
+      )
+    }
+
+    cy.log(`🧬 JSON schema "${schemaName}" passed`)
+    return cy.wrap(subject, { log: false })
+  })
+})
+
 /**
  * 📊 VALIDATE RESPONSE HEADERS - Header Validation Command
  * -------------------------------------------------------
@@ -649,10 +953,63 @@ Cypress.Commands.add('validateHeaders', { prevSubject: true }, (response, expect
   return cy.wrap(response)
 })
 
+/**
+ * 📸 MATCH API SNAPSHOT - Compare a Response with a Stored Snapshot
+ * ----------------------------------------------------------------
+ * Compares the response body with
+ * cypress/snapshots/<profile>/<spec path>/<name>.json - each environment
+ * profile keeps its own, since offline answers from the stand-in data.
+ * The first local run writes the snapshot (on CI a missing one fails);
+ * later runs fail with a diff that lists every changed, missing and
+ * unexpected field by JSON path.
+ * Fields that change on every call are left out with ignore paths
+ * ($.id, $.data[*].id, $..createdAt - see apiSnapshot.js).
+ *
+ * Run with --env updateSnapshots=true to accept the current responses.
+ *
+ * @param {Object} subject - Cypress response object, or the data itself
+ * @param {string} name - Snapshot name, unique within the spec
+ * @param {Object} options - { ignore: ['$.id'] }
+ *
+ * @example
+ * cy.apiRequest({ service: 'jsonPlaceholder', path: '/users/1' })
+ *   .matchApiSnapshot('user-1', { ignore: ['$.id'] })
+ */
+Cypress.Commands.add('matchApiSnapshot', { prevSubject: true }, (subject, name, options = {}) => {
+  const { ignore = [] } = options
+  const isResponse = subject && typeof subject === 'object' && 'status' in subject && 'body' in subject
+  const actual = redact(isResponse ? subject.body : subject, ignore)
+  const update = Cypress.env('updateSnapshots') === true
+  const snapshot = { profile: Cypress.env('environment'), spec: Cypress.spec.relative, name }
+
+  return cy.task('readApiSnapshot', snapshot, { log: false }).then((stored) => {
+    if (stored && !update) {
+      const diff = diffSnapshot(stored.value, actual)
+      if (diff.length > 0) {
+        throw new Error(
+          'Response does not match snapshot "' + name + '" (' + diff.length + ' difference(s)):\n  ' +
+          diff.join('\n  ') +
+          '\nRun with --env updateSnapshots=true if the change is intended.'
+        )
+      }
+      cy.log(`📸 Snapshot "${name}" matched`)
+      return cy.wrap(subject, { log: false })
+    }
+
+    return cy.task('writeApiSnapshot', { ...snapshot, ignore, value: actual, update }, { log: false }).then(() => {
+      cy.log(`📸 Snapshot "${name}" ${stored ? 'updated' : 'written'}`)
+      return cy.wrap(subject, { log: false })
+    })
+  })
+})
+
 /**
  * 🔄 API CRUD OPERATIONS - Create, Read, Update, Delete
  * -----------------------------------------------------
  * Convenience commands for common CRUD operations
+ * 
+ * apiCreate registers what it created (<url>/<id>) for deletion after
+ * the test, and apiDelete unregisters it - see resourceCleanup.js
  */
 
 // CREATE (POST)
@@ -663,6 +1020,13 @@ Cypress.Commands.add('apiCreate', (url, data, headers = {}) => {
     url,
     body: data,
     headers
+  }).then((response) => {
+    if (response.status < 300 && response.body && response.body.id !== undefined) {
+      // POST /posts -> post 101, deleted with DELETE /posts/101
+      const collectionUrl = url.split('?')[0].replace(/\/+$/, '')
+      trackResource(collectionUrl.split('/').pop(), response.body.id, collectionUrl + '/' + response.body.id)
+    }
+    return response
   })
 })
 
@@ -706,6 +1070,11 @@ Cypress.Commands.add('apiDelete', (url, headers = {}) => {
     method: 'DELETE',
     url,
     headers
+  }).then((response) => {
+    if (response.status < 300 || response.status === 404) {
+      untrackResource(url)
+    }
+    return response
   })
 })
 
@@ -814,35 +1183,6 @@ Cypress.Commands.add('clickInIframe', (iframeSelector, elementSelector) => {
     .click()
 })
 
-/**
- * 📁 FILE UPLOAD - Custom Command for File Uploads
- * ------------------------------------------------
- * Handles file uploads using different methods
- * 
- * @param {string} selector - Input file element selector
- * @param {string} filePath - Path to file in fixtures folder
- * @param {string} [mimeType] - File MIME type
- * 
- * @example cy.uploadFile('input[type="file"]', 'test-image.png', 'image/png')
- */
-Cypress.Commands.add('uploadFile', (selector, filePath, mimeType = '') => {
-  cy.log(`📁 Uploading file: ${filePath}`)
-  
-  return cy.fixture(filePath, 'base64').then((fileContent) => {
-    const fileName = filePath.split('/').pop()
-    
-    cy.get(selector).then((input) => {
-      const blob = Cypress.Blob.base64StringToBlob(fileContent, mimeType)
-      const file = new File([blob], fileName, { type: mimeType })
-      const dataTransfer = new DataTransfer()
-      dataTransfer.items.add(file)
-      
-      input[0].files = dataTransfer.files
-      cy.wrap(input).trigger('change', { force: true })
-    })
-  })
-})
-
 /**
  * 📥 VERIFY DOWNLOAD - Check if file was downloaded
  * ------------------------------------------------
@@ -870,33 +1210,103 @@ Cypress.Commands.add('verifyDownload', (fileName) => {
  * @param {string} alias - Alias for the intercept
  * @param {number} [statusCode] - Response status code
  * @param {number} [delay] - Response delay in ms
+ * @param {Object} [chaos] - Chaos profile, see cypress/support/networkChaos.js
+ *                           (defaults to the test's or profile's chaos setting)
+ * 
+ * For responses modelled in mockData.json, prefer cy.mockScenario()
  * 
  * @example 
  * cy.interceptAndMock('GET', '/api/users', 'mockApiResponses', 'getUsers')
  * cy.interceptAndMock('GET', '/api/posts', { id: 1 }, 'getPosts', 200, 1000)
+ * cy.interceptAndMock('GET', '/api/posts', { id: 1 }, 'getPosts', 200, 0, { errorRate: 0.3 })
  */
-Cypress.Commands.add('interceptAndMock', (method, url, response, alias, statusCode = 200, delay = 0) => {
+Cypress.Commands.add('interceptAndMock', (method, url, response, alias, statusCode = 200, delay = 0, chaos) => {
   cy.log(`🔀 Intercepting ${method} ${url}`)
+
+  const mock = (body) => {
+    const staticResponse = { statusCode, body, delay }
+    const activeChaos = resolveChaos(chaos)
+    const handler = activeChaos ? chaosHandler(staticResponse, activeChaos, method + ' ' + url) : staticResponse
+
+    cy.intercept(method, url, handler).as(alias)
+  }
   
   if (typeof response === 'string') {
     // Response is a fixture name
-    cy.fixture(response).then((fixtureData) => {
-      cy.intercept(method, url, {
-        statusCode,
-        body: fixtureData,
-        delay
-      }).as(alias)
-    })
+    cy.fixture(response).then(mock)
   } else {
     // Response is an object
-    cy.intercept(method, url, {
-      statusCode,
-      body: response,
-      delay
-    }).as(alias)
+    mock(response)
   }
 })
 
+/**
+ * 🎭 MOCK SCENARIO - Intercept from a named mockData.json scenario
+ * ---------------------------------------------------------------
+ * Wires cy.intercept() from the fixture by convention (method, URL,
+ * status, body, delay) - see cypress/support/mockScenarios.js.
+ * Call it again mid-test to switch scenarios: the newest intercept wins.
+ * 
+ * @param {string} resource - Resource in mockData.json, e.g. 'users'
+ * @param {string} scenario - Scenario name, e.g. 'serverError'
+ * @param {Object} [options] - Overrides: method, url, alias, delay, times, chaos, fixture
+ * @returns {Object} The route that was set up ({ alias, matcher, response })
+ * 
+ * @example 
+ * cy.mockScenario('users', 'serverError')
+ * cy.wait('@users').its('response.statusCode').should('eq', 500)
+ * cy.mockScenario('users', 'success', { times: 1 })
+ * cy.mockScenario('users', 'success', { chaos: { latency: [500, 2000], errorRate: 0.2 } })
+ */
+Cypress.Commands.add('mockScenario', (resource, scenario, options = {}) => {
+  const { fixture = 'mockData', ...overrides } = options
+
+  cy.fixture(fixture, { log: false }).then((mockData) => {
+    const route = buildScenarioRoute(mockData, resource, scenario, overrides)
+
+    const chaos = resolveChaos(route.chaos)
+    const label = `${route.matcher.method} ${route.matcher.url}`
+
+    cy.log(`🎭 Mock ${label} -> ${resource}.${scenario} (${route.response.statusCode || 200})${chaos ? ' with chaos' : ''}`)
+    cy.intercept(route.matcher, chaos ? chaosHandler(route.response, chaos, label) : route.response).as(route.alias)
+
+    return cy.wrap(route, { log: false })
+  })
+})
+
+/**
+ * 🎭 MOCK SCENARIOS - Set up several scenarios at once
+ * ---------------------------------------------------
+ * @param {Object} scenarios - Resource -> scenario name
+ * @param {Object} [options] - Passed to every cy.mockScenario() call
+ * 
+ * @example cy.mockScenarios({ users: 'empty', posts: 'success' })
+ */
+Cypress.Commands.add('mockScenarios', (scenarios, options = {}) => {
+  Object.entries(scenarios).forEach(([resource, scenario]) => {
+    cy.mockScenario(resource, scenario, options)
+  })
+})
+
+/**
+ * 🧹 TRACK RESOURCE - Delete a created resource after the test
+ * ------------------------------------------------------------
+ * For resources created without apiCreate (cy.request, API clients, UI).
+ * Deleted newest first, with retries - see resourceCleanup.js
+ * 
+ * @param {string} type - Label for reports, e.g. 'user'
+ * @param {string|number} id - Resource id
+ * @param {string} deleteUrl - URL that deletes it with DELETE
+ * @param {Object} [options]
+ * @param {string} [options.scope] - 'test' (default) or 'spec' to keep it until the spec ends
+ * 
+ * @example cy.trackResource('user', body.id, siteUrl('jsonPlaceholder', `/users/${body.id}`))
+ */
+Cypress.Commands.add('trackResource', (type, id, deleteUrl, options = {}) => {
+  trackResource(type, id, deleteUrl, options)
+  cy.log(`🧹 Tracking ${type} ${id} for cleanup (${options.scope || 'test'})`)
+})
+
 /**
  * ⏱️ WAIT FOR API - Wait for API call and validate
  * -----------------------------------------------
@@ -935,10 +1345,22 @@ Cypress.Commands.add('waitForApi', (alias, expectedStatus = null) => {
  * Parameters:
  *   selector - CSS selector for the file input element
  *   fileName - Name of the file in fixtures folder
+ *   mimeType - Optional MIME type (default: guessed from the extension)
+ * 
+ * Usage:
+ *   cy.uploadFile('input[type="file"]', 'test-image.png', 'image/png')
  */
-Cypress.Commands.add('uploadFile', (selector, fileName) => {
+Cypress.Commands.add('uploadFile', (selector, fileName, mimeType = '') => {
   cy.log('Uploading file: ' + fileName)
-  cy.get(selector).selectFile('cypress/fixtures/' + fileName, { force: true })
+
+  if (!mimeType) {
+    cy.get(selector).selectFile('cypress/fixtures/' + fileName, { force: true })
+    return
+  }
+
+  cy.fixture(fileName, null).then((contents) => {
+    cy.get(selector).selectFile({ contents, fileName: fileName.split('/').pop(), mimeType }, { force: true })
+  })
 })
 
 /*
@@ -1025,19 +1447,60 @@ Cypress.Commands.add('checkFeatureFlag', (flagName) => {
 })
 
 /*
- * logEnvironmentInfo - Log current environment configuration
+ * envInfo - Log current environment values and where each one came from
  * Useful for debugging and test reports
+ * 
+ * Sources are recorded by cypress/plugins/envResolver.js in this order
+ * (later wins): profile > .env.<profile> > cypress.env.json > CYPRESS_* > --env
+ * 
+ * Usage:
+ *   cy.envInfo()
+ *   cy.envInfo().its('sources.username').should('eq', 'profile')
  */
-Cypress.Commands.add('logEnvironmentInfo', () => {
-  const environment = Cypress.env('environment') || 'not set'
-  const apiBaseUrl = Cypress.env('apiBaseUrl') || 'not set'
-  const baseUrl = Cypress.config('baseUrl') || 'not set'
-  
+Cypress.Commands.add('envInfo', () => {
+  const env = Cypress.env()
+  const sources = env.envSources || {}
+  const info = {
+    environment: env.environment || 'not set',
+    baseUrl: Cypress.config('baseUrl') || 'not set',
+    values: {},
+    sources: sources
+  }
+
   cy.log('--- Environment Information ---')
-  cy.log('Environment: ' + environment)
-  cy.log('Base URL: ' + baseUrl)
-  cy.log('API Base URL: ' + apiBaseUrl)
+  cy.log('Environment: ' + info.environment)
+  cy.log('Base URL: ' + info.baseUrl)
+
+  Object.keys(sources).sort().forEach((key) => {
+    // Never print secrets to the Command Log
+    const value = SECRET_KEY_PATTERN.test(key) ? '********' : JSON.stringify(env[key])
+    info.values[key] = env[key]
+    cy.log(key + ' = ' + value + '  (' + sources[key] + ')')
+  })
+
   cy.log('-------------------------------')
+  return cy.wrap(info, { log: false })
+})
+
+/*
+ * visitSite - Visit a page on a named site from the site registry
+ * 
+ * Site names map to base URLs per profile (sites in envconfig.js), so
+ * specs never hardcode hosts and a local stand-in is one config change.
+ * 
+ * Parameters:
+ *   name - Site name, e.g. 'herokuapp', 'practiceAutomation'
+ *   path - Path on that site (default '')
+ *   options - Normal cy.visit() options
+ * 
+ * Usage:
+ *   cy.visitSite('herokuapp', '/login')
+ *   cy.visitSite('herokuapp', '/secure', { failOnStatusCode: false })
+ */
+Cypress.Commands.add('visitSite', (name, path = '', options = {}) => {
+  const url = siteUrl(name, path)
+  cy.log('Visiting ' + name + ': ' + url)
+  return cy.visit(url, options)
 })
 
 /*
@@ -1111,6 +1574,10 @@ Cypress.Commands.add('isRunningInCI', () => {
 /*
  * healthCheck - Verify application is up before running tests
  * 
+ * Goes through apiRequest, so a server that is still starting
+ * (502/503/504) gets the retries of the profile's apiRetry policy
+ * before the check fails.
+ * 
  * Parameters:
  *   url - URL to check (defaults to baseUrl)
  *   timeout - Request timeout in ms
@@ -1120,14 +1587,14 @@ Cypress.Commands.add('healthCheck', (url = null, timeout = 30000) => {
   
   cy.log('Running health check on: ' + checkUrl)
   
-  cy.request({
+  cy.apiRequest({
     method: 'GET',
     url: checkUrl,
     timeout: timeout,
-    failOnStatusCode: false
+    headers: { Accept: '*/*' }
   }).then((response) => {
     if (response.status >= 500) {
-      throw new Error('Health check failed: Server returned ' + response.status)
+      throw new Error('Health check failed: Server returned ' + response.status + ' after ' + response.attempts + ' attempt(s)')
     }
     cy.log('Health check passed: Status ' + response.status)
   })
@@ -1177,9 +1644,7 @@ Cypress.Commands.add('generateUniqueTestId', (prefix = 'test') => {
  *   cy.loginToHerokuApp() // Uses fixture data
  */
 Cypress.Commands.add('loginToHerokuApp', (username, password) => {
-  const loginUrl = 'https://the-internet.herokuapp.com/login'
-  
-  cy.visit(loginUrl)
+  cy.visitSite('herokuapp', '/login')
   
   // If no credentials passed, use fixture
   if (!username || !password) {
@@ -1215,14 +1680,14 @@ Cypress.Commands.add('loginWithRole', (role = 'validUser', site = 'herokuapp') =
   cy.fixture('loginCredentials').then((data) => {
     const user = data[role]
     const selectors = data.loginPage.selectors[site]
-    const url = data.loginPage.urls[site]
+    const loginPath = data.loginPage.paths[site]
     
     if (!user) {
       throw new Error('Role "' + role + '" not found in loginCredentials.json')
     }
     
     cy.log('Logging in as: ' + role)
-    cy.visit(url)
+    cy.visitSite(site, loginPath)
     
     cy.get(selectors.usernameInput).clear().type(user.username)
     cy.get(selectors.passwordInput).clear().type(user.password, { log: false })
@@ -1279,7 +1744,7 @@ Cypress.Commands.add('loginViaAPI', (userType = 'valid') => {
     
     cy.request({
       method: 'POST',
-      url: 'https://reqres.in/api/login',
+      url: siteUrl('reqres', '/login'),
       body: {
         email: user.email,
         password: user.password
@@ -1290,8 +1755,11 @@ Cypress.Commands.add('loginViaAPI', (userType = 'valid') => {
         expect(response.status).to.eq(200)
         expect(response.body).to.have.property('token')
         
-        // Store token for subsequent API calls
-        Cypress.env('AUTH_TOKEN', response.body.token)
+        // Store token for subsequent API calls (apiAuthRequest({ as: userType }))
+        storeToken(tokenKey('reqres', userType), response.body.token, {
+          url: siteUrl('reqres', '/login'),
+          body: { email: user.email, password: user.password }
+        })
         cy.log('API login successful - Token stored')
       } else {
         expect(response.status).to.eq(400)
@@ -1315,7 +1783,7 @@ Cypress.Commands.add('loginWithRetry', (username, password, maxRetries = 3) => {
   const attemptLogin = (attempt) => {
     cy.log('Login attempt ' + attempt + ' of ' + maxRetries)
     
-    cy.visit('https://the-internet.herokuapp.com/login')
+    cy.visitSite('herokuapp', '/login')
     cy.get('#username').clear().type(username)
     cy.get('#password').clear().type(password, { log: false })
     cy.get('button[type="submit"]').click()
@@ -1349,7 +1817,7 @@ Cypress.Commands.add('sessionLogin', (userType = 'validUser') => {
   cy.session(userType, () => {
     cy.fixture('loginCredentials').then((data) => {
       const user = data[userType]
-      cy.visit('https://the-internet.herokuapp.com/login')
+      cy.visitSite('herokuapp', '/login')
       cy.get('#username').type(user.username)
       cy.get('#password').type(user.password, { log: false })
       cy.get('button[type="submit"]').click()
@@ -0,0 +1,113 @@
+/*
+ * contractCheck.js - Validate API traffic against OpenAPI contracts
+ * =================================================================
+ *
+ * Every cy.request() (so also apiRequest, apiCreate, apiRead, apiUpdate,
+ * apiPatch and apiDelete) and every intercepted browser request to a site
+ * with a contract is checked against the matching operation:
+ *
+ *   - request body against requestBody
+ *   - response status is documented
+ *   - response body against that status' schema
+ *
+ * contracts.onViolation in envconfig.js decides what a mismatch does:
+ *   off  - no checks
+ *   warn - logged and added to the mochawesome report (the default)
+ *   fail - the test fails with every violation listed
+ *
+ * Cleanup requests are not checked, and cy.apiRequest() checks only the
+ * response it yields, not the attempts it retried (see requestChecks.js).
+ *
+ * Each checked call is sent to cypress/plugins/contracts.js, which writes
+ * the coverage report (operations and status codes exercised) at the end
+ * of the run.
+ */
+import { inspectExchange } from './contracts'
+import { requestChecksSkipped, addResponseCheck } from './requestChecks'
+import { normalizeRequestArgs } from './requestArgs'
+import { addTestContext } from './reportContext'
+
+const XHR_OR_FETCH = /^(xhr|fetch)$/
+
+let contracts = {}
+let hits = []
+
+function getMode() {
+  const settings = Cypress.env('contracts') || {}
+  return settings.onViolation || 'off'
+}
+
+// Check one exchange, record it for coverage and report violations
+function checkCall(method, url, requestBody, status, responseBody) {
+  const result = inspectExchange(contracts, Cypress.env('sites') || {}, { method, url, requestBody, status, responseBody })
+  if (!result) {
+    return
+  }
+
+  hits.push(result.hit)
+  const { violations } = result
+  if (violations.length === 0) {
+    return
+  }
+
+  addTestContext('API contract (' + result.site + ')', violations)
+  Cypress.log({ name: 'contract', message: violations.length + ' violation(s) for ' + method + ' ' + url })
+
+  if (getMode() === 'fail') {
+    throw new Error(
+      'API contract violation (' + result.site + ', see envconfig.js contracts):\n  ' +
+      violations.join('\n  ')
+    )
+  }
+}
+
+// Responses cy.apiRequest() sent unchecked (see requestChecks.js)
+addResponseCheck((options, response) => {
+  if (getMode() === 'off') {
+    return
+  }
+  const url = new URL(options.url, Cypress.config('baseUrl') || window.location.origin).href
+  checkCall(options.method, url, options.body, response.status, response.body)
+})
+
+before(() => {
+  if (getMode() === 'off') {
+    return
+  }
+  cy.task('getContracts', null, { log: false }).then((loaded) => {
+    contracts = loaded || {}
+  })
+})
+
+Cypress.Commands.overwrite('request', (originalFn, ...args) => {
+  const options = normalizeRequestArgs(args)
+  if (getMode() === 'off' || requestChecksSkipped(options)) {
+    return originalFn(...args)
+  }
+
+  const url = new URL(options.url, Cypress.config('baseUrl') || window.location.origin).href
+
+  return originalFn(...args).then((response) => {
+    checkCall(options.method, url, options.body, response.status, response.body)
+    return response
+  })
+})
+
+beforeEach(() => {
+  if (getMode() === 'off') {
+    return
+  }
+
+  cy.intercept({ resourceType: XHR_OR_FETCH, middleware: true }, (req) => {
+    req.on('after:response', (res) => {
+      checkCall(req.method, req.url, req.body, res.statusCode, res.body)
+    })
+  })
+})
+
+after(() => {
+  if (hits.length > 0) {
+    cy.task('recordContractCoverage', hits, { log: false })
+    hits = []
+  }
+})
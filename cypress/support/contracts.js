@@ -0,0 +1,149 @@
+/*
+ * contracts.js - Match requests to OpenAPI 3 operations and check them
+ * ====================================================================
+ *
+ * Pure helpers used by contractCheck.js. A contract is an OpenAPI 3
+ * document bound to a site from the site registry (envconfig.js):
+ *
+ *   contracts: { specs: { jsonPlaceholder: 'cypress/contracts/jsonplaceholder.openapi.json' } }
+ *
+ * Paths in the document are relative to that site's base URL, so the
+ * same contract works against the public site and the offline stand-in.
+ *
+ * Schemas are checked with the JSON Schema validator in jsonSchema.js;
+ * $ref values like "#/components/schemas/Post" resolve in the document.
+ */
+import { validateJsonSchema, formatSchemaErrors } from './jsonSchema'
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace']
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// /posts/{id}/comments -> /^\/posts\/[^/]+\/comments$/
+function templateToRegExp(template) {
+  const pattern = template.split(/\{[^}]+\}/).map(escapeRegExp).join('[^/]+')
+  return new RegExp('^' + pattern + '$')
+}
+
+/*
+ * findContract - Which contract (if any) covers a URL
+ *
+ * Returns: { site, doc, path } with the path relative to the site, or null
+ */
+export function findContract(contracts, sites, url) {
+  for (const [site, doc] of Object.entries(contracts)) {
+    const base = (sites[site] || '').replace(/\/+$/, '')
+    if (base && (url === base || url.startsWith(base + '/') || url.startsWith(base + '?'))) {
+      const path = url.slice(base.length).split(/[?#]/)[0].replace(/\/+$/, '') || '/'
+      return { site, doc, path }
+    }
+  }
+  return null
+}
+
+/*
+ * findOperation - The operation for a method and site-relative path
+ *
+ * Returns: { template, method, operation } or null when undocumented.
+ * Literal paths win over templated ones (/users/me before /users/{id}).
+ */
+export function findOperation(doc, method, path) {
+  const lowerMethod = method.toLowerCase()
+  const templates = Object.keys(doc.paths || {})
+    .filter((template) => templateToRegExp(template).test(path))
+    .sort((a, b) => (a.match(/\{/g) || []).length - (b.match(/\{/g) || []).length)
+
+  for (const template of templates) {
+    const operation = doc.paths[template][lowerMethod]
+    if (operation && HTTP_METHODS.includes(lowerMethod)) {
+      return { template, method: method.toUpperCase(), operation }
+    }
+  }
+  return null
+}
+
+function jsonSchemaOf(content) {
+  if (!content) {
+    return null
+  }
+  const media = content['application/json'] || Object.values(content)[0]
+  return media && media.schema ? media.schema : null
+}
+
+// The documented response for a status: exact code, then 2XX-style, then default
+export function findResponse(operation, status) {
+  const responses = operation.responses || {}
+  return responses[String(status)] || responses[String(status)[0] + 'XX'] || responses.default || null
+}
+
+/*
+ * checkExchange - Validate one request/response pair against an operation
+ *
+ * Returns: a list of violation messages - empty when it matches
+ */
+export function checkExchange(doc, match, { requestBody, status, responseBody }) {
+  const violations = []
+  const label = match.method + ' ' + match.template
+  const { operation } = match
+
+  if (operation.requestBody) {
+    const schema = jsonSchemaOf(operation.requestBody.content)
+    const hasBody = requestBody !== undefined && requestBody !== null && requestBody !== ''
+
+    if (!hasBody && operation.requestBody.required) {
+      violations.push(label + ' request: body is required')
+    } else if (hasBody && schema) {
+      formatSchemaErrors(validateJsonSchema(schema, requestBody, doc)).forEach((error) => {
+        violations.push(label + ' request body ' + error)
+      })
+    }
+  }
+
+  const response = findResponse(operation, status)
+  if (!response) {
+    violations.push(label + ': status ' + status + ' is not documented (documented: ' +
+      Object.keys(operation.responses || {}).join(', ') + ')')
+    return violations
+  }
+
+  const schema = jsonSchemaOf(response.content)
+  if (schema) {
+    formatSchemaErrors(validateJsonSchema(schema, responseBody, doc)).forEach((error) => {
+      violations.push(label + ' ' + status + ' response body ' + error)
+    })
+  }
+
+  return violations
+}
+
+/*
+ * inspectExchange - Check one call against the contract covering its URL
+ *
+ * Returns: null when no contract covers the URL, otherwise
+ * { site, hit, violations } - hit is what the coverage report counts
+ * (see cypress/plugins/contractCoverage.js); calls to undocumented
+ * paths have no violations but are counted as undocumented.
+ */
+export function inspectExchange(contracts, sites, { method, url, requestBody, status, responseBody }) {
+  const contract = findContract(contracts, sites, url)
+  if (!contract) {
+    return null
+  }
+
+  const match = findOperation(contract.doc, method, contract.path)
+  if (!match) {
+    return {
+      site: contract.site,
+      hit: { site: contract.site, method: method.toUpperCase(), path: contract.path, status, documented: false },
+      violations: []
+    }
+  }
+
+  return {
+    site: contract.site,
+    hit: { site: contract.site, method: match.method, path: match.template, status, documented: true },
+    violations: checkExchange(contract.doc, match, { requestBody, status, responseBody })
+  }
+}
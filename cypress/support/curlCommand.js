@@ -0,0 +1,175 @@
+/*
+ * curlCommand.js - Render a cy.request() call as a cURL command
+ * =============================================================
+ *
+ * Turns the options of one request into a command that can be pasted
+ * into a terminal to reproduce it outside Cypress:
+ *
+ *   curl -i -X POST 'https://reqres.in/api/login' \
+ *     -H 'Content-Type: application/json' \
+ *     -H 'x-api-key: '"$API_KEY" \
+ *     --data '{"email":"eve.holt@reqres.in","password":"'"$API_PASSWORD"'"}'
+ *
+ * Secrets never end up in the command: credential headers, the auth
+ * option, and query parameters or body fields named like secrets
+ * (password, token, api_key - see secretKeys.js) become references to
+ * environment variables, which are listed in `env` so the reader knows
+ * what to export first. Bodies may be objects, JSON text or form-encoded
+ * text:
+ *
+ *   curl -i 'https://reqres.in/api/users?api_key='"$API_KEY"'&page=2'
+ */
+import { SECRET_KEY_PATTERN } from './secretKeys'
+import { FORM_ENCODED } from './ledgerEntries'
+
+const SECRET_HEADERS = {
+  authorization: 'API_TOKEN',
+  'proxy-authorization': 'API_PROXY_TOKEN',
+  cookie: 'API_COOKIE',
+  'x-api-key': 'API_KEY',
+  'x-auth-token': 'API_AUTH_TOKEN'
+}
+const ENV_MARKER = /__CURL_ENV_(\w+)__/g
+
+// Shell-safe single-quoted text
+export function shellQuote(text) {
+  return "'" + String(text).replace(/'/g, "'\\''") + "'"
+}
+
+// 'Bearer ' + $API_TOKEN -> 'Bearer '"$API_TOKEN"
+function withEnv(text, envVar) {
+  return (text ? shellQuote(text) : '') + '"$' + envVar + '"'
+}
+
+// apiPassword -> API_PASSWORD, client_secret -> API_CLIENT_SECRET
+function envName(field) {
+  const name = field.replace(/([a-z])([A-Z])/g, '$1_$2').replace(/\W+/g, '_').toUpperCase()
+  return name.startsWith('API_') ? name : 'API_' + name
+}
+
+// Placeholder for a secret, swapped for "$<envVar>" by spliceEnv
+function envMarker(field, env) {
+  env.add(envName(field))
+  return '__CURL_ENV_' + envName(field) + '__'
+}
+
+// Quoted text with the markers read from the environment instead
+function spliceEnv(text) {
+  return shellQuote(text).replace(ENV_MARKER, (marker, envVar) => `'"$${envVar}"'`).replace(/"''$/, '"')
+}
+
+// Secret fields (at any depth) replaced with markers
+function markSecrets(value, env) {
+  if (Array.isArray(value)) {
+    return value.map((item) => markSecrets(item, env))
+  }
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+  const marked = {}
+  Object.entries(value).forEach(([key, field]) => {
+    if (SECRET_KEY_PATTERN.test(key) && typeof field === 'string') {
+      marked[key] = envMarker(key, env)
+    } else {
+      marked[key] = markSecrets(field, env)
+    }
+  })
+  return marked
+}
+
+// 'email=a@b.c&password=x' -> 'email=a@b.c&password=__CURL_ENV_API_PASSWORD__'
+function markParams(text, env) {
+  return text.split('&').map((pair) => {
+    const name = pair.split('=')[0]
+    const key = decodeURIComponent(name.replace(/\+/g, ' '))
+    return SECRET_KEY_PATTERN.test(key) ? name + '=' + envMarker(key, env) : pair
+  }).join('&')
+}
+
+// The query string with its secret parameters marked
+function markUrl(url, env) {
+  const queryStart = url.indexOf('?')
+  if (queryStart === -1) {
+    return url
+  }
+  const hashStart = url.indexOf('#', queryStart)
+  const queryEnd = hashStart === -1 ? url.length : hashStart
+  return url.slice(0, queryStart + 1) + markParams(url.slice(queryStart + 1, queryEnd), env) + url.slice(queryEnd)
+}
+
+// JSON or form-encoded body with the secret fields spliced in from the environment
+function renderBody(body, env) {
+  if (typeof body !== 'string') {
+    return spliceEnv(JSON.stringify(markSecrets(body, env)))
+  }
+  try {
+    return spliceEnv(JSON.stringify(markSecrets(JSON.parse(body), env)))
+  } catch (err) {
+    return spliceEnv(FORM_ENCODED.test(body) ? markParams(body, env) : body)
+  }
+}
+
+export function fullUrl(url, qs = {}) {
+  const entries = Object.entries(qs)
+  if (entries.length === 0) {
+    return url
+  }
+  const params = new URLSearchParams()
+  entries.forEach(([key, value]) => {
+    [].concat(value).forEach((item) => params.append(key, item))
+  })
+  return url + (url.includes('?') ? '&' : '?') + params.toString()
+}
+
+/*
+ * renderCurl - cy.request() options -> { command, env }
+ *
+ * command: the cURL command, one option per line
+ * env:     environment variables the command reads its secrets from
+ */
+export function renderCurl(options) {
+  const { method = 'GET', url, qs, headers = {}, body, form, auth } = options
+  const env = new Set()
+  const upper = method.toUpperCase()
+  const parts = ['curl -i' + (upper === 'GET' ? '' : upper === 'HEAD' ? ' -I' : ' -X ' + upper) + ' ' + spliceEnv(markUrl(fullUrl(url, qs), env))]
+
+  const headerNames = Object.keys(headers).map((name) => name.toLowerCase())
+  Object.entries(headers).forEach(([name, value]) => {
+    const envVar = SECRET_HEADERS[name.toLowerCase()]
+    if (!envVar) {
+      parts.push('-H ' + shellQuote(name + ': ' + value))
+      return
+    }
+    // Keep the scheme ("Bearer ", "Basic ") so only the credential is swapped
+    const scheme = (String(value).match(/^(Bearer|Basic|Token)\s+/i) || [''])[0]
+    env.add(envVar)
+    parts.push('-H ' + withEnv(name + ': ' + scheme, envVar))
+  })
+
+  if (auth && auth.bearer) {
+    env.add('API_TOKEN')
+    parts.push('-H ' + withEnv('Authorization: Bearer ', 'API_TOKEN'))
+  } else if (auth && (auth.username || auth.user)) {
+    env.add('API_PASSWORD')
+    parts.push('-u ' + withEnv((auth.username || auth.user) + ':', 'API_PASSWORD'))
+  }
+
+  const hasBody = body !== undefined && body !== null && body !== ''
+  if (hasBody && form && typeof body === 'object') {
+    Object.entries(body).forEach(([key, value]) => {
+      if (SECRET_KEY_PATTERN.test(key)) {
+        parts.push('--data-urlencode ' + spliceEnv(key + '=' + envMarker(key, env)))
+      } else {
+        parts.push('--data-urlencode ' + shellQuote(key + '=' + value))
+      }
+    })
+  } else if (hasBody) {
+    // cy.request sends objects as JSON
+    if (typeof body === 'object' && !headerNames.includes('content-type')) {
+      parts.push('-H ' + shellQuote('Content-Type: application/json'))
+    }
+    parts.push('--data ' + renderBody(body, env))
+  }
+
+  return { command: parts.join(' \\\n  '), env: Array.from(env) }
+}
@@ -0,0 +1,36 @@
+/*
+ * curlScript.js - A spec's cURL commands as a shell script
+ * ========================================================
+ *
+ * networkLedger.js builds the script from its cy.request() entries at
+ * the end of a spec and cypress/plugins/curlExport.js writes the text to
+ * disk. The script stops before the first request when a secret it reads
+ * is not exported.
+ */
+
+// Ledger entries (each with entry.curl from renderCurl) -> script text
+export function toScript(spec, entries, environment) {
+  const env = Array.from(new Set([].concat(...entries.map((entry) => entry.curl.env))))
+  const lines = [
+    '#!/bin/sh',
+    '# API calls of ' + spec + ' (profile: ' + environment + ')',
+    '# Recorded ' + new Date().toISOString(),
+    '#'
+  ]
+  if (env.length > 0) {
+    lines.push('# Secrets are read from the environment:')
+    env.forEach((name) => lines.push('#   export ' + name + '=...'))
+    env.forEach((name) => lines.push(': "${' + name + ':?export ' + name + ' first}"'))
+  }
+
+  let test = null
+  entries.forEach((entry) => {
+    if (entry.test !== test) {
+      test = entry.test
+      lines.push('', '# ' + '-'.repeat(75), '# ' + (test || 'before/after hooks'), '# ' + '-'.repeat(75))
+    }
+    const result = entry.error ? 'failed (' + entry.error + ')' : entry.status === null ? 'no response' : entry.status
+    lines.push('', '# ' + entry.method + ' ' + entry.url + ' -> ' + result + ' in the run', entry.curl.command)
+  })
+  return lines.join('\n') + '\n'
+}
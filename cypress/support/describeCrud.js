@@ -0,0 +1,156 @@
+/*
+ * describeCrud.js - Generate the CRUD lifecycle suite for a resource
+ * ==================================================================
+ *
+ * One call writes the create -> read -> update (PUT) -> patch -> read
+ * back -> delete -> verify 404 flow on top of apiCreate / apiRead /
+ * apiUpdate / apiPatch / apiDelete. Each step checks the status, the
+ * data it sent, and (with a schema) the JSON Schema of the response.
+ * The created resource is registered with the cleanup registry, so it
+ * is deleted even when a step in the middle fails.
+ *
+ * Usage in specs:
+ *   import { describeCrud } from '../../support/describeCrud'
+ *
+ *   describeCrud('posts', {
+ *     baseUrl: siteUrl('jsonPlaceholder', '/posts'),
+ *     validPayload: { title: 'New', body: 'Text', userId: 1 },
+ *     updatePayload: { title: 'Updated', body: 'New text', userId: 1 },
+ *     schema: 'post'                         // cypress/fixtures/schemas/post.schema.json
+ *   })
+ *
+ * Options:
+ *   patchPayload   - sent with PATCH (default: first text field of updatePayload + " (patched)")
+ *   idKey          - id property of the resource (default: 'id')
+ *   persistsWrites - false for APIs that only fake writes (public JSONPlaceholder):
+ *                    read/update/patch/delete then use existingId, and the
+ *                    read-back and 404 steps are skipped (default: true)
+ *   existingId     - resource to work on when persistsWrites is false
+ */
+
+function defaultPatch(updatePayload) {
+  const field = Object.keys(updatePayload).find((key) => typeof updatePayload[key] === 'string')
+  if (!field) {
+    throw new Error('describeCrud: updatePayload has no text field to patch - pass patchPayload')
+  }
+  return { [field]: updatePayload[field] + ' (patched)' }
+}
+
+export function describeCrud(resource, options) {
+  const {
+    baseUrl,
+    validPayload,
+    updatePayload,
+    schema,
+    idKey = 'id',
+    persistsWrites = true,
+    existingId
+  } = options
+
+  if (!baseUrl || !validPayload || !updatePayload) {
+    throw new Error('describeCrud("' + resource + '"): baseUrl, validPayload and updatePayload are required')
+  }
+  if (!persistsWrites && existingId === undefined) {
+    throw new Error('describeCrud("' + resource + '"): existingId is required when persistsWrites is false')
+  }
+
+  const patchPayload = options.patchPayload || defaultPatch(updatePayload)
+  const singular = resource.replace(/s$/, '')
+  const collectionUrl = baseUrl.replace(/\/+$/, '')
+  let createdId
+
+  const targetId = () => (persistsWrites ? createdId : existingId)
+  const itemUrl = () => collectionUrl + '/' + targetId()
+
+  const checkSchema = (response) => {
+    if (schema) {
+      cy.wrap(response, { log: false }).validateJsonSchema(schema)
+    }
+  }
+
+  // Later steps need the created resource; skip them when creating failed
+  const requireResource = (context) => {
+    if (targetId() === undefined) {
+      context.skip()
+    }
+  }
+
+  describe(`CRUD lifecycle: ${resource} @destructive`, () => {
+
+    it(`creates a ${singular} (POST)`, () => {
+      cy.apiCreate(collectionUrl, validPayload).then((response) => {
+        expect(response.status).to.eq(201)
+        expect(response.body).to.have.property(idKey)
+        expect(response.body).to.deep.include(validPayload)
+        createdId = response.body[idKey]
+
+        // Keep it until the spec ends - the next steps use it
+        cy.trackResource(singular, createdId, collectionUrl + '/' + createdId, { scope: 'spec' })
+        checkSchema(response)
+      })
+    })
+
+    it(`reads the ${singular} (GET)`, function () {
+      requireResource(this)
+      if (!persistsWrites) {
+        cy.log(`Writes are not persisted - reading ${singular} ${existingId} instead`)
+      }
+
+      cy.apiRead(itemUrl()).then((response) => {
+        expect(response.status).to.eq(200)
+        expect(response.body[idKey]).to.eq(targetId())
+        if (persistsWrites) {
+          expect(response.body).to.deep.include(validPayload)
+        }
+        checkSchema(response)
+      })
+    })
+
+    it(`replaces the ${singular} (PUT)`, function () {
+      requireResource(this)
+
+      cy.apiUpdate(itemUrl(), { ...validPayload, ...updatePayload }).then((response) => {
+        expect(response.status).to.eq(200)
+        expect(response.body).to.deep.include(updatePayload)
+        checkSchema(response)
+      })
+    })
+
+    it(`patches the ${singular} (PATCH)`, function () {
+      requireResource(this)
+
+      cy.apiPatch(itemUrl(), patchPayload).then((response) => {
+        expect(response.status).to.eq(200)
+        expect(response.body).to.deep.include(patchPayload)
+        checkSchema(response)
+      })
+    })
+
+    it(`reads the changes back (GET)`, function () {
+      if (!persistsWrites) {
+        this.skip()
+      }
+      requireResource(this)
+
+      cy.apiRead(itemUrl()).then((response) => {
+        expect(response.status).to.eq(200)
+        expect(response.body).to.deep.include({ ...updatePayload, ...patchPayload })
+      })
+    })
+
+    it(`deletes the ${singular} (DELETE)`, function () {
+      requireResource(this)
+
+      cy.apiDelete(itemUrl()).its('status').should('be.oneOf', [200, 204])
+    })
+
+    it(`no longer finds the ${singular} (404)`, function () {
+      if (!persistsWrites) {
+        this.skip()
+      }
+      requireResource(this)
+
+      cy.apiRead(itemUrl()).its('status').should('eq', 404)
+    })
+  })
+}
@@ -13,8 +13,24 @@
 // https://on.cypress.io/configuration
 // ***********************************************************
 
+// Command registry first: it checks every Cypress.Commands.add that follows
+import './commandRegistry'
+
 // Import commands.js using ES2015 syntax:
 import './commands'
 
 // Import cypress-file-upload plugin for file upload testing
-import 'cypress-file-upload'
\ No newline at end of file
+import 'cypress-file-upload'
+
+// Report helpers and global hooks
+import './reportContext'
+import './featureFlagGate'
+import './environmentPolicy'
+// networkGuard before networkRecorder: its catch-all intercept must be the oldest
+import './networkGuard'
+import './networkRecorder'
+import './networkLedger'
+import './contractCheck'
+import './latencyCheck'
+import './retryLog'
+import './resourceCleanup'
@@ -0,0 +1,67 @@
+/*
+ * environmentPolicy.js - Block destructive tests in read-only environments
+ * ========================================================================
+ *
+ * Each profile in envconfig.js declares a policy, e.g. for production:
+ *   policy: { readOnly: true, allowedWrites: ['reqres /login'] }
+ *
+ * Under a read-only profile:
+ *   1. cy.request() with POST/PUT/PATCH/DELETE is refused (this also
+ *      covers apiRequest, apiCreate, apiUpdate, apiPatch and apiDelete,
+ *      which all go through cy.request). Writes matching an allowedWrites
+ *      entry '<site> <path>' (logins and similar) are still allowed: the
+ *      URL must be on that registry site and its path must be the entry's
+ *      path or below it. Other hosts never match, whatever their query.
+ *   2. Tests tagged @destructive - in their own title or in any parent
+ *      describe title - are skipped, with the reason in the report.
+ *
+ * Usage in tests:
+ *   it('deletes a post @destructive', () => { ... })
+ *   describe('2.5 DELETE Requests @destructive', () => { ... })
+ */
+import { normalizeRequestArgs, MUTATING_METHODS } from './requestArgs'
+import { addTestContext } from './reportContext'
+import { getSites, isAllowedWrite } from './sites'
+
+export const DESTRUCTIVE_TAG = '@destructive'
+
+function getPolicy() {
+  return Cypress.env('policy') || { readOnly: false, allowedWrites: [] }
+}
+
+// Refuse mutating requests under a read-only profile
+Cypress.Commands.overwrite('request', (originalFn, ...args) => {
+  const policy = getPolicy()
+  const { method, url } = normalizeRequestArgs(args)
+
+  if (policy.readOnly && MUTATING_METHODS.includes(method)) {
+    const absoluteUrl = new URL(url, Cypress.config('baseUrl') || window.location.origin).href
+    const allowed = isAllowedWrite(policy.allowedWrites || [], getSites(), absoluteUrl)
+
+    if (!allowed) {
+      throw new Error(
+        'Refused ' + method + ' ' + url + ': the "' + Cypress.env('environment') + '" profile is read-only ' +
+        '(policy in envconfig.js). Tag the test ' + DESTRUCTIVE_TAG + ' so it is skipped here, ' +
+        'or add \'<site> <path>\' to policy.allowedWrites if the request does not change data.'
+      )
+    }
+  }
+
+  return originalFn(...args)
+})
+
+// Skip tests tagged @destructive under a read-only profile
+beforeEach(function () {
+  const titlePath = Cypress.currentTest.titlePath
+  const isDestructive = titlePath.some((title) => title.includes(DESTRUCTIVE_TAG))
+
+  if (!isDestructive || !getPolicy().readOnly) {
+    return
+  }
+
+  const reason = 'Skipped: ' + DESTRUCTIVE_TAG + ' tests are not allowed in the read-only "' +
+    Cypress.env('environment') + '" profile'
+  addTestContext('Environment policy', reason)
+  Cypress.log({ name: 'policy', message: reason })
+  this.skip()
+})
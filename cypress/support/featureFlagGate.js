@@ -0,0 +1,58 @@
+/*
+ * featureFlagGate.js - Skip tests whose feature flags are turned off
+ * ==================================================================
+ *
+ * Works with requiresFlag() from featureFlags.js. Before each test the
+ * required flags are checked against the current profile:
+ *   - all on          -> the test runs
+ *   - any off         -> the test is skipped, the reason is added to the
+ *                        mochawesome report and the run-level flag report
+ *   - unknown flag    -> the test fails, so a typo can't hide a test
+ */
+import { getFeatureFlags } from './featureFlags'
+import { addTestContext } from './reportContext'
+
+let gatedTests = []
+
+beforeEach(function () {
+  const requiredFlags = Cypress.env('requiredFlags') || []
+  if (requiredFlags.length === 0) {
+    return
+  }
+
+  const flags = getFeatureFlags()
+  const environment = Cypress.env('environment')
+
+  const unknownFlags = requiredFlags.filter((flag) => !(flag in flags))
+  if (unknownFlags.length > 0) {
+    throw new Error(
+      'Unknown feature flag(s): ' + unknownFlags.join(', ') + '. ' +
+      'Flags declared for ' + environment + ': ' + Object.keys(flags).join(', ')
+    )
+  }
+
+  const disabledFlags = requiredFlags.filter((flag) => flags[flag] !== true)
+  if (disabledFlags.length === 0) {
+    return
+  }
+
+  const reason = 'Skipped: feature flag(s) ' + disabledFlags.join(', ') + ' disabled in ' + environment
+  addTestContext('Feature flag gate', reason)
+  gatedTests.push({
+    spec: Cypress.spec.relative,
+    test: Cypress.currentTest.titlePath.join(' > '),
+    flags: disabledFlags,
+    environment
+  })
+
+  Cypress.log({ name: 'requiresFlag', message: reason })
+  this.skip()
+})
+
+// Send this spec's gated tests to the run-level report
+after(() => {
+  if (gatedTests.length > 0) {
+    cy.task('recordFlagGates', gatedTests, { log: false })
+    gatedTests = []
+  }
+})
@@ -0,0 +1,32 @@
+/*
+ * featureFlags.js - Feature flag helpers for specs
+ * ================================================
+ *
+ * Flags are declared per profile in envconfig.js and reach the browser
+ * as Cypress.env('featureFlags').
+ *
+ * requiresFlag() returns a test configuration object for describe/it.
+ * The gate in featureFlagGate.js skips the test (with the reason in the
+ * report) when any listed flag is off in the current profile.
+ *
+ * Usage:
+ *   import { requiresFlag } from '../../support/featureFlags'
+ *
+ *   it('pays with the new checkout', requiresFlag('newCheckout'), () => { ... })
+ *   describe('Beta area', requiresFlag('betaFeatures', 'darkMode'), () => { ... })
+ *
+ * Note: an inner requiresFlag() replaces the one on its describe block,
+ * so list every flag the test needs.
+ */
+
+export function requiresFlag(...flags) {
+  return { env: { requiredFlags: flags } }
+}
+
+export function getFeatureFlags() {
+  return Cypress.env('featureFlags') || {}
+}
+
+export function isFlagEnabled(flag) {
+  return getFeatureFlags()[flag] === true
+}
@@ -0,0 +1,187 @@
+/*
+ * jsonSchema.js - JSON Schema validation (draft-07 subset)
+ * ========================================================
+ *
+ * Used by the validateJsonSchema child command. Every value is checked -
+ * nested objects and every array element - and each problem is reported
+ * with its JSON path, e.g. "$[3].address.geo.lat: expected string, got number".
+ *
+ * Supported keywords:
+ *   type (incl. "integer" and lists such as ["string", "null"]), enum, const
+ *   properties, required, additionalProperties, minProperties, maxProperties
+ *   items (one schema or a tuple), additionalItems, minItems, maxItems, uniqueItems
+ *   minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf
+ *   minLength, maxLength, pattern, format (email, uri, date, date-time, uuid, ipv4)
+ *   allOf, anyOf, oneOf, not, $ref to "#/definitions/..." in the same schema
+ *
+ * Schemas live in cypress/fixtures/schemas/<name>.schema.json.
+ */
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uri: /^[a-z][a-z0-9+.-]*:[^\s]*$/i,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  ipv4: /^((25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(25[0-5]|2[0-4]\d|1?\d?\d)$/
+}
+
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+// 0.3 / 0.1 is 2.9999999999999996 in floating point - allow for the rounding error
+function isMultipleOf(value, divisor) {
+  const quotient = value / divisor
+  return Math.abs(quotient - Math.round(quotient)) <= 1e-9 * Math.max(1, Math.abs(quotient))
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value)
+  if (type === 'number') return typeof value === 'number' && !isNaN(value)
+  return typeOf(value) === type
+}
+
+// $.address.geo, $[3], $["first-name"]
+function childPath(path, key) {
+  if (typeof key === 'number') {
+    return path + '[' + key + ']'
+  }
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? path + '.' + key : path + '[' + JSON.stringify(key) + ']'
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+function resolveRef(ref, rootSchema) {
+  if (!ref.startsWith('#/')) {
+    throw new Error('Only local $ref values ("#/definitions/...") are supported (got "' + ref + '")')
+  }
+  const target = ref.slice(2).split('/').reduce((node, part) => node && node[part], rootSchema)
+  if (!target) {
+    throw new Error('Cannot resolve $ref "' + ref + '"')
+  }
+  return target
+}
+
+function validateNode(schema, value, path, rootSchema, errors) {
+  if (schema === true || schema === undefined) return
+  if (schema === false) {
+    errors.push({ path, message: 'no value is allowed here' })
+    return
+  }
+
+  if (schema.$ref) {
+    validateNode(resolveRef(schema.$ref, rootSchema), value, path, rootSchema, errors)
+    return
+  }
+
+  const fail = (message) => errors.push({ path, message })
+
+  // Type first - the other keywords only make sense for the right type
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some((type) => matchesType(value, type))) {
+      fail('expected ' + types.join(' or ') + ', got ' + typeOf(value))
+      return
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((option) => isEqual(option, value))) {
+    fail('expected one of ' + JSON.stringify(schema.enum) + ', got ' + JSON.stringify(value))
+  }
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    fail('expected ' + JSON.stringify(schema.const) + ', got ' + JSON.stringify(value))
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail('must be >= ' + schema.minimum + ', got ' + value)
+    if (schema.maximum !== undefined && value > schema.maximum) fail('must be <= ' + schema.maximum + ', got ' + value)
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail('must be > ' + schema.exclusiveMinimum + ', got ' + value)
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail('must be < ' + schema.exclusiveMaximum + ', got ' + value)
+    if (schema.multipleOf !== undefined && !isMultipleOf(value, schema.multipleOf)) fail('must be a multiple of ' + schema.multipleOf)
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail('must be at least ' + schema.minLength + ' characters')
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail('must be at most ' + schema.maxLength + ' characters')
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail('must match ' + schema.pattern + ', got ' + JSON.stringify(value))
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      fail('must be a valid ' + schema.format + ', got ' + JSON.stringify(value))
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const keys = Object.keys(value)
+    const properties = schema.properties || {}
+
+    ;(schema.required || []).forEach((key) => {
+      if (!(key in value)) {
+        errors.push({ path: childPath(path, key), message: 'is required' })
+      }
+    })
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) fail('must have at least ' + schema.minProperties + ' properties')
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) fail('must have at most ' + schema.maxProperties + ' properties')
+
+    keys.forEach((key) => {
+      if (key in properties) {
+        validateNode(properties[key], value[key], childPath(path, key), rootSchema, errors)
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, key), message: 'is not allowed (additionalProperties: false)' })
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(schema.additionalProperties, value[key], childPath(path, key), rootSchema, errors)
+      }
+    })
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail('must have at least ' + schema.minItems + ' items, got ' + value.length)
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('must have at most ' + schema.maxItems + ' items, got ' + value.length)
+    if (schema.uniqueItems && new Set(value.map((item) => JSON.stringify(item))).size !== value.length) fail('items must be unique')
+
+    if (Array.isArray(schema.items)) {
+      value.forEach((item, index) => {
+        const itemSchema = index < schema.items.length ? schema.items[index] : schema.additionalItems
+        validateNode(itemSchema, item, childPath(path, index), rootSchema, errors)
+      })
+    } else if (schema.items !== undefined) {
+      value.forEach((item, index) => validateNode(schema.items, item, childPath(path, index), rootSchema, errors))
+    }
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach((subSchema) => validateNode(subSchema, value, path, rootSchema, errors))
+  }
+
+  const passing = (subSchemas) => subSchemas.filter((subSchema) => validateJsonSchema(subSchema, value, rootSchema).length === 0).length
+
+  if (schema.anyOf && passing(schema.anyOf) === 0) {
+    fail('does not match any schema in anyOf')
+  }
+  if (schema.oneOf) {
+    const count = passing(schema.oneOf)
+    if (count !== 1) fail('must match exactly one schema in oneOf (matched ' + count + ')')
+  }
+  if (schema.not && validateJsonSchema(schema.not, value, rootSchema).length === 0) {
+    fail('must not match the "not" schema')
+  }
+}
+
+/*
+ * validateJsonSchema - Check a value against a schema
+ *
+ * Returns: a list of { path, message } - empty when the value is valid
+ */
+export function validateJsonSchema(schema, value, rootSchema = schema) {
+  const errors = []
+  validateNode(schema, value, '$', rootSchema, errors)
+  return errors
+}
+
+// "$.address.geo.lat: expected string, got number" - one line per error
+export function formatSchemaErrors(errors) {
+  return errors.map((error) => error.path + ': ' + error.message)
+}
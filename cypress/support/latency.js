@@ -0,0 +1,87 @@
+/*
+ * latency.js - Response time budgets
+ * ==================================
+ *
+ * Pure helpers used by latencyCheck.js and cy.measureLatency(). Budgets
+ * come from the latency block of the profile in envconfig.js:
+ *
+ *   latency: {
+ *     onBreach: 'warn',
+ *     defaultBudgetMs: 3000,
+ *     budgets: {
+ *       jsonPlaceholder: 2000,                 // every call to the site
+ *       'jsonPlaceholder GET': 1500,           // every GET
+ *       'jsonPlaceholder GET /posts/*': 1000   // '*' is one path segment
+ *     }
+ *   }
+ *
+ * The most specific matching key wins; calls no key matches get
+ * defaultBudgetMs. min/median/p95/max come from latencyStats.js.
+ */
+
+/*
+ * locateSite - Which registry site a URL belongs to
+ *
+ * Returns: { site, path } with the path relative to the site, or null.
+ * The longest matching base URL wins (reqres.in/api before reqres.in).
+ */
+export function locateSite(sites, url) {
+  let best = null
+  Object.entries(sites).forEach(([site, baseUrl]) => {
+    const base = String(baseUrl).replace(/\/+$/, '')
+    if (url === base || url.startsWith(base + '/') || url.startsWith(base + '?')) {
+      if (!best || base.length > best.base.length) {
+        best = { site, base }
+      }
+    }
+  })
+  if (!best) {
+    return null
+  }
+  const path = url.slice(best.base.length).split(/[?#]/)[0].replace(/\/+$/, '') || '/'
+  return { site: best.site, path }
+}
+
+// "jsonPlaceholder GET /posts/{id}" - ids collapse so one endpoint is one row
+export function endpointKey(site, method, path) {
+  const normalized = path
+    .split('/')
+    .map((segment) => (/^\d+$/.test(segment) || /^[0-9a-f-]{32,36}$/i.test(segment) ? '{id}' : segment))
+    .join('/')
+  return site + ' ' + method.toUpperCase() + ' ' + normalized
+}
+
+function pathMatches(pattern, path) {
+  const patternParts = pattern.replace(/\/+$/, '').split('/')
+  const pathParts = path.replace(/\/+$/, '').split('/')
+  return patternParts.length === pathParts.length &&
+    patternParts.every((part, index) => part === '*' || part === pathParts[index])
+}
+
+/*
+ * findBudget - The budget for one call
+ *
+ * Returns: { budgetMs, rule } where rule is the matching key or 'default'
+ */
+export function findBudget(latency, site, method, path) {
+  const settings = latency || {}
+  let best = null
+
+  Object.entries(settings.budgets || {}).forEach(([key, budgetMs]) => {
+    const [ruleSite, ruleMethod, rulePath] = key.split(' ')
+    if (ruleSite !== site) return
+    if (ruleMethod && ruleMethod !== method.toUpperCase()) return
+    if (rulePath && !pathMatches(rulePath, path)) return
+
+    // More parts is more specific; among paths, fewer wildcards wins
+    const score = key.split(' ').length * 100 - (rulePath ? (rulePath.match(/\*/g) || []).length : 0)
+    if (!best || score > best.score) {
+      best = { budgetMs, rule: key, score }
+    }
+  })
+
+  if (best) {
+    return { budgetMs: best.budgetMs, rule: best.rule }
+  }
+  return { budgetMs: settings.defaultBudgetMs || null, rule: 'default' }
+}
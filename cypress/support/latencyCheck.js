@@ -0,0 +1,87 @@
+/*
+ * latencyCheck.js - Hold API calls to their response time budget
+ * ===============================================================
+ *
+ * Every cy.request() (so also apiRequest and the API clients) to a site
+ * in the registry is timed against its budget from envconfig.js
+ * (see latency.js for how budgets are matched).
+ *
+ * latency.onBreach decides what a slow call does:
+ *   off  - no checks, nothing recorded
+ *   warn - logged and added to the mochawesome report
+ *   fail - the test fails with the endpoint, duration and budget
+ *
+ * Cleanup DELETEs and the attempts cy.apiRequest() retried are not timed
+ * (see requestChecks.js).
+ *
+ * Each timed call is sent to cypress/plugins/latencyReport.js, which
+ * writes the run-level summary (min/median/p95/max per endpoint) to
+ * cypress/reports/latency-summary.json.
+ */
+import { locateSite, endpointKey, findBudget } from './latency'
+import { normalizeRequestArgs } from './requestArgs'
+import { addTestContext } from './reportContext'
+import { requestChecksSkipped, addResponseCheck } from './requestChecks'
+
+let samples = []
+
+function getMode() {
+  const settings = Cypress.env('latency') || {}
+  return settings.onBreach || 'off'
+}
+
+// Record one timed call and report it when over budget
+function checkCall(method, url, durationMs) {
+  const location = locateSite(Cypress.env('sites') || {}, url)
+  if (!location || typeof durationMs !== 'number') {
+    return
+  }
+
+  const endpoint = endpointKey(location.site, method, location.path)
+  const { budgetMs, rule } = findBudget(Cypress.env('latency'), location.site, method, location.path)
+  const breached = budgetMs !== null && durationMs > budgetMs
+
+  samples.push({ endpoint, durationMs, budgetMs, breached, test: Cypress.currentTest ? Cypress.currentTest.title : null })
+
+  if (!breached) {
+    return
+  }
+
+  const message = endpoint + ' took ' + durationMs + 'ms, budget ' + budgetMs + 'ms (' + rule + ')'
+  addTestContext('Latency budget exceeded', message)
+  Cypress.log({ name: 'latency', message: '⏱️ ' + message })
+
+  if (getMode() === 'fail') {
+    throw new Error('Response time budget exceeded (see envconfig.js latency): ' + message)
+  }
+}
+
+// Responses cy.apiRequest() sent unchecked (see requestChecks.js)
+addResponseCheck((options, response) => {
+  if (getMode() === 'off') {
+    return
+  }
+  const url = new URL(options.url, Cypress.config('baseUrl') || window.location.origin).href
+  checkCall(options.method, url, response.duration)
+})
+
+Cypress.Commands.overwrite('request', (originalFn, ...args) => {
+  const options = normalizeRequestArgs(args)
+  if (getMode() === 'off' || requestChecksSkipped(options)) {
+    return originalFn(...args)
+  }
+
+  const url = new URL(options.url, Cypress.config('baseUrl') || window.location.origin).href
+
+  return originalFn(...args).then((response) => {
+    checkCall(options.method, url, response.duration)
+    return response
+  })
+})
+
+after(() => {
+  if (samples.length > 0) {
+    cy.task('recordLatency', { spec: Cypress.spec.relative, samples }, { log: false })
+    samples = []
+  }
+})
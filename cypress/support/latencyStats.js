@@ -0,0 +1,37 @@
+/*
+ * latencyStats.js - min / median / p95 / max of response times
+ * ============================================================
+ *
+ * One implementation for cy.measureLatency() in the browser and the
+ * run-level summary in cypress/plugins/latencyReport.js (Node), so both
+ * report the same p95. Kept in CommonJS so both sides can load it.
+ */
+
+// Nearest-rank percentile of sorted numbers
+function percentile(sorted, fraction) {
+  const rank = Math.ceil(fraction * sorted.length)
+  return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1]
+}
+
+/*
+ * latencyStats - Summary of a list of durations in ms
+ *
+ * Returns: { count, min, median, p95, max }
+ */
+function latencyStats(durations) {
+  const sorted = durations.slice().sort((a, b) => a - b)
+  if (sorted.length === 0) {
+    return { count: 0, min: null, median: null, p95: null, max: null }
+  }
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    median: percentile(sorted, 0.5),
+    p95: percentile(sorted, 0.95),
+    max: sorted[sorted.length - 1]
+  }
+}
+
+module.exports = {
+  latencyStats
+}
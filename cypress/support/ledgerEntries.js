@@ -0,0 +1,121 @@
+/*
+ * ledgerEntries.js - Redact and format network ledger entries
+ * ===========================================================
+ *
+ * Pure helpers behind cypress/support/networkLedger.js, kept apart so
+ * specs can import them without registering the ledger's hooks twice.
+ *
+ * Credentials never reach the report or the HAR file: credential headers,
+ * and query parameters or body fields named like secrets (password,
+ * token, api_key - see secretKeys.js), become [redacted]. Bodies may be
+ * objects, JSON text or form-encoded text.
+ */
+import { SECRET_KEY_PATTERN } from './secretKeys'
+
+export const LEDGER_BODY_LIMIT = 2000
+
+const REDACTED = '[redacted]'
+const REDACTED_HEADERS = /^(authorization|proxy-authorization|cookie|set-cookie|x-api-key|x-auth-token)$/i
+// 'email=a%40b.c&password=x' - the form bodies whose fields are redacted
+export const FORM_ENCODED = /^[^=&\s]+=[^&\s]*(&[^=&\s]+=[^&\s]*)*$/
+
+export function redactHeaders(headers = {}) {
+  const safe = {}
+  Object.entries(headers).forEach(([name, value]) => {
+    safe[name] = REDACTED_HEADERS.test(name) ? REDACTED : value
+  })
+  return safe
+}
+
+// Secret fields at any depth
+function redactFields(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactFields)
+  }
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+  const safe = {}
+  Object.entries(value).forEach(([key, field]) => {
+    safe[key] = SECRET_KEY_PATTERN.test(key) ? REDACTED : redactFields(field)
+  })
+  return safe
+}
+
+// 'email=a@b.c&password=x' -> 'email=a@b.c&password=[redacted]', encoding kept
+function redactParams(text) {
+  return text.split('&').map((pair) => {
+    const name = pair.split('=')[0]
+    return SECRET_KEY_PATTERN.test(decodeURIComponent(name.replace(/\+/g, ' '))) ? name + '=' + REDACTED : pair
+  }).join('&')
+}
+
+export function redactUrl(url) {
+  const queryStart = url.indexOf('?')
+  if (queryStart === -1) {
+    return url
+  }
+  const hashStart = url.indexOf('#', queryStart)
+  const queryEnd = hashStart === -1 ? url.length : hashStart
+  return url.slice(0, queryStart + 1) + redactParams(url.slice(queryStart + 1, queryEnd)) + url.slice(queryEnd)
+}
+
+export function redactBody(body) {
+  if (typeof body !== 'string') {
+    return redactFields(body)
+  }
+  try {
+    return JSON.stringify(redactFields(JSON.parse(body)))
+  } catch (err) {
+    return FORM_ENCODED.test(body) ? redactParams(body) : body
+  }
+}
+
+export function truncateBody(body) {
+  if (body === undefined || body === null || body === '') {
+    return null
+  }
+  const text = typeof body === 'string' ? body : JSON.stringify(body)
+  return text.length > LEDGER_BODY_LIMIT
+    ? text.slice(0, LEDGER_BODY_LIMIT) + '... [' + (text.length - LEDGER_BODY_LIMIT) + ' more characters]'
+    : text
+}
+
+/*
+ * failEntry - close an entry whose cy.request() threw instead of answering
+ *
+ * Cypress puts the received status in the error ("> 404: Not Found") when
+ * failOnStatusCode rejected the response, and the network error
+ * ("> Error: getaddrinfo ENOTFOUND ...") when there was none.
+ */
+export function failEntry(entry, message) {
+  const status = message.match(/^\s*> (\d{3}): /m)
+  const detail = message.match(/^\s*> (.+)$/m)
+  entry.status = status ? Number(status[1]) : null
+  entry.duration = Date.now() - Date.parse(entry.startedAt)
+  entry.error = detail ? detail[1] : message.split('\n')[0]
+  return entry
+}
+
+// "404 (84ms)", "failed (Error: getaddrinfo ENOTFOUND ...)" or "no response"
+export function describeResult(entry) {
+  if (entry.error) {
+    return 'failed (' + entry.error + ')'
+  }
+  return entry.status === null ? 'no response' : entry.status + ' (' + entry.duration + 'ms)'
+}
+
+// One line per entry for the report, e.g. "GET https://... -> 200 (84ms)"
+export function formatLedger(entries) {
+  return entries.map((entry) => '[' + entry.source + '] ' + entry.method + ' ' + entry.url + ' -> ' + describeResult(entry))
+}
+
+// The cURL commands with a comment line each, ready for a terminal
+export function formatCurl(entries) {
+  const env = Array.from(new Set([].concat(...entries.map((entry) => entry.curl.env))))
+  const lines = env.length > 0 ? ['# Secrets are read from: ' + env.join(', '), ''] : []
+  entries.forEach((entry) => {
+    lines.push('# ' + entry.method + ' ' + entry.url + ' -> ' + describeResult(entry), entry.curl.command, '')
+  })
+  return lines.join('\n').trim()
+}
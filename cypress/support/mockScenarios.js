@@ -0,0 +1,83 @@
+/*
+ * mockScenarios.js - Build intercepts from mockData.json scenarios
+ * ================================================================
+ *
+ * mockData.json groups canned responses by resource and scenario:
+ *   { "users": { "success": { "statusCode": 200, "body": {...} }, "serverError": {...} } }
+ *
+ * Conventions (any of these can be set on the scenario itself):
+ *   method  - GET
+ *   url     - '**\/api/<resource>*'  (also matches query strings)
+ *   alias   - the resource name, so cy.wait('@users') works for every scenario
+ *   delay   - 0 ms
+ *   headers - none
+ *   chaos   - none (see networkChaos.js)
+ *
+ * Keys starting with "_" are notes, not resources or scenarios.
+ *
+ * Usage (see cy.mockScenario / cy.mockScenarios in commands.js):
+ *   cy.mockScenario('users', 'serverError')
+ *   cy.mockScenarios({ users: 'empty', posts: 'success' })
+ */
+
+const RESPONSE_KEYS = ['statusCode', 'body', 'headers', 'delay']
+
+export function defaultScenarioUrl(resource) {
+  return '**/api/' + resource + '*'
+}
+
+function listNames(group) {
+  return Object.keys(group).filter((key) => !key.startsWith('_')).join(', ')
+}
+
+/*
+ * buildScenarioRoute - Turn one fixture scenario into intercept arguments
+ *
+ * Parameters:
+ *   mockData - Parsed mockData.json (or another fixture with the same shape)
+ *   resource - Resource name, e.g. 'users'
+ *   scenario - Scenario name, e.g. 'serverError'
+ *   options  - Per-call overrides: method, url, alias, delay, times, chaos
+ *
+ * Returns: { resource, scenario, alias, matcher, response, chaos }
+ */
+export function buildScenarioRoute(mockData, resource, scenario, options = {}) {
+  const scenarios = mockData[resource]
+  if (!scenarios || resource.startsWith('_')) {
+    throw new Error(
+      'Unknown mock resource "' + resource + '". Resources in the fixture: ' + listNames(mockData)
+    )
+  }
+
+  const definition = scenarios[scenario]
+  if (!definition || scenario.startsWith('_')) {
+    throw new Error(
+      'Unknown scenario "' + scenario + '" for ' + resource + '. Scenarios: ' + listNames(scenarios)
+    )
+  }
+
+  const settings = { ...definition, ...options }
+  const response = {}
+  RESPONSE_KEYS.forEach((key) => {
+    if (settings[key] !== undefined) {
+      response[key] = settings[key]
+    }
+  })
+
+  const matcher = {
+    method: (settings.method || 'GET').toUpperCase(),
+    url: settings.url || defaultScenarioUrl(resource)
+  }
+  if (settings.times !== undefined) {
+    matcher.times = settings.times
+  }
+
+  return {
+    resource,
+    scenario,
+    alias: settings.alias || resource,
+    matcher,
+    response,
+    chaos: settings.chaos
+  }
+}
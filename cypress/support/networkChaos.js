@@ -0,0 +1,135 @@
+/*
+ * networkChaos.js - Inject failures into mocked responses
+ * =======================================================
+ *
+ * A chaos profile describes what can go wrong with a mocked route:
+ *
+ *   {
+ *     latency: [200, 1500],        // random extra delay in ms (min, max)
+ *     errorRate: 0.2,              // share of requests answered with a 5xx
+ *     errorStatuses: [500, 503],   // which 5xx (default 500, 502, 503)
+ *     resetRate: 0.1,              // share of connection resets (forceNetworkError)
+ *     corruptRate: 0.1,            // share of truncated, invalid JSON bodies
+ *     throttleKbps: 64             // bandwidth limit for every response
+ *   }
+ *
+ * Where it comes from (first match wins):
+ *   1. the call:     cy.mockScenario('users', 'success', { chaos: {...} })
+ *                    cy.interceptAndMock('GET', '/api/users', body, 'users', 200, 0, {...})
+ *   2. the scenario: "chaos": {...} next to statusCode/body in mockData.json
+ *   3. the test:     it('retries', withChaos({ errorRate: 0.5 }), () => { ... })
+ *   4. the profile:  chaos in envconfig.js (enabled: false turns it off)
+ *
+ * Random draws are seeded. The seed is in the report next to every
+ * injected failure; rerun with --env chaosSeed=<seed> to get exactly the
+ * same failures in the same tests.
+ */
+import { addTestContext } from './reportContext'
+
+const DEFAULT_ERROR_STATUSES = [500, 502, 503]
+
+// One seed per spec run unless --env chaosSeed=... pins it
+const runSeed = Cypress.env('chaosSeed') !== undefined
+  ? Number(Cypress.env('chaosSeed'))
+  : Math.floor(Math.random() * 2147483647)
+
+// Small seeded PRNG (mulberry32) - returns numbers in [0, 1)
+export function createRandom(seed) {
+  let state = seed >>> 0
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// FNV-1a, so each test and route gets its own reproducible sequence
+export function hashString(text) {
+  let hash = 0x811C9DC5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193) >>> 0
+  }
+  return hash
+}
+
+export function getChaosSeed() {
+  return runSeed
+}
+
+// Test configuration for it/describe, like requiresFlag()
+export function withChaos(chaos) {
+  return { env: { chaos: { enabled: true, ...chaos } } }
+}
+
+// The chaos profile in effect, or null when chaos is off
+export function resolveChaos(chaos = Cypress.env('chaos')) {
+  if (!chaos || chaos.enabled === false) {
+    return null
+  }
+  return chaos
+}
+
+/*
+ * applyChaos - Decide what happens to one response
+ *
+ * Returns: { response, effects } - a StaticResponse for req.reply() and a
+ * list of what was injected, e.g. ['latency 840ms', 'status 503']
+ */
+export function applyChaos(response, chaos, random) {
+  const effects = []
+  const result = { ...response }
+
+  if (random() < (chaos.resetRate || 0)) {
+    return { response: { forceNetworkError: true }, effects: ['connection reset'] }
+  }
+
+  if (random() < (chaos.errorRate || 0)) {
+    const statuses = chaos.errorStatuses || DEFAULT_ERROR_STATUSES
+    result.statusCode = statuses[Math.floor(random() * statuses.length)]
+    result.body = { message: 'Injected by network chaos' }
+    effects.push('status ' + result.statusCode)
+  } else if (random() < (chaos.corruptRate || 0)) {
+    const text = typeof result.body === 'string' ? result.body : JSON.stringify(result.body || {})
+    result.body = text.slice(0, Math.floor(text.length / 2))
+    result.headers = { ...result.headers, 'content-type': 'application/json' }
+    effects.push('truncated body')
+  }
+
+  if (chaos.latency) {
+    const [min, max] = chaos.latency
+    const extra = Math.round(min + random() * (max - min))
+    result.delay = (result.delay || 0) + extra
+    effects.push('latency ' + extra + 'ms')
+  }
+
+  if (chaos.throttleKbps) {
+    result.throttleKbps = chaos.throttleKbps
+    effects.push('throttled ' + chaos.throttleKbps + 'kbps')
+  }
+
+  return { response: result, effects }
+}
+
+/*
+ * chaosHandler - cy.intercept() handler that replies with a chaotic
+ * version of the response. routeLabel (e.g. 'GET **\/api/users*') keeps the
+ * random sequence of each route in each test independent.
+ */
+export function chaosHandler(response, chaos, routeLabel) {
+  const test = Cypress.currentTest.titlePath.join(' > ')
+  const random = createRandom(hashString(runSeed + '|' + test + '|' + routeLabel))
+
+  return (req) => {
+    const { response: reply, effects } = applyChaos(response, chaos, random)
+    if (effects.length > 0) {
+      const message = req.method + ' ' + req.url + ': ' + effects.join(', ') +
+        ' (chaosSeed ' + runSeed + ')'
+      addTestContext('Network chaos', message)
+      Cypress.log({ name: 'chaos', message })
+    }
+    req.reply(reply)
+  }
+}
@@ -0,0 +1,99 @@
+/*
+ * networkGuard.js - Catch requests that leak past the mocks
+ * =========================================================
+ *
+ * When mockEnabled is true the suite should not touch real backends.
+ * The guard watches two ways traffic can leak:
+ *
+ *   1. Browser XHR/fetch requests that no cy.intercept() stub (or
+ *      replayed recording) answered
+ *   2. cy.request() calls to a host missing from networkGuard.allowedHosts
+ *
+ * What happens is set per profile in envconfig.js:
+ *   networkGuard: { onUnmocked: 'warn', allowedHosts: ['localhost', '127.0.0.1'] }
+ *
+ *   off  - no checks
+ *   warn - the request goes through; it is logged and listed in the report
+ *   fail - the test fails with the offending METHOD URL
+ *
+ * Allowed hosts match exactly, or as a suffix when written '*.example.com'.
+ * The guard is off while recording (networkMode=record).
+ */
+import { normalizeRequestArgs } from './requestArgs'
+import { addTestContext } from './reportContext'
+
+const XHR_OR_FETCH = /^(xhr|fetch)$/
+
+let leaks = []
+
+function getGuard() {
+  const guard = Cypress.env('networkGuard') || {}
+  const active = Cypress.env('mockEnabled') === true && Cypress.env('networkMode') !== 'record'
+
+  return {
+    onUnmocked: active ? guard.onUnmocked || 'warn' : 'off',
+    allowedHosts: guard.allowedHosts || []
+  }
+}
+
+export function isAllowedHost(hostname, allowedHosts) {
+  return allowedHosts.some((entry) => {
+    if (entry.startsWith('*.')) {
+      return hostname.endsWith(entry.slice(1))
+    }
+    return hostname === entry
+  })
+}
+
+// Log, report and (in fail mode) throw for one leaked request
+function reportLeak(kind, method, url, onUnmocked) {
+  const message = method + ' ' + url
+  leaks.push(message)
+  Cypress.log({ name: 'networkGuard', message: kind + ': ' + message })
+
+  if (onUnmocked === 'fail') {
+    throw new Error(
+      'Network guard: ' + kind + ' ' + message + '. mockEnabled is true for the "' +
+      Cypress.env('environment') + '" profile - add a mock, or add the host to ' +
+      'networkGuard.allowedHosts in envconfig.js'
+    )
+  }
+}
+
+// cy.request() to a host that isn't allowlisted
+Cypress.Commands.overwrite('request', (originalFn, ...args) => {
+  const guard = getGuard()
+
+  if (guard.onUnmocked !== 'off') {
+    const { method, url } = normalizeRequestArgs(args)
+    const fullUrl = new URL(url, Cypress.config('baseUrl') || window.location.origin)
+
+    if (!isAllowedHost(fullUrl.hostname, guard.allowedHosts)) {
+      reportLeak('cy.request to a non-allowlisted host', method, fullUrl.href, guard.onUnmocked)
+    }
+  }
+
+  return originalFn(...args)
+})
+
+// Browser requests no newer intercept answered reach this catch-all last
+beforeEach(() => {
+  const guard = getGuard()
+  if (guard.onUnmocked === 'off') {
+    return
+  }
+
+  cy.intercept({ resourceType: XHR_OR_FETCH }, (req) => {
+    const { hostname } = new URL(req.url)
+    if (!isAllowedHost(hostname, guard.allowedHosts)) {
+      reportLeak('unmocked request', req.method, req.url, guard.onUnmocked)
+    }
+  })
+})
+
+afterEach(() => {
+  if (leaks.length > 0) {
+    addTestContext('Unmocked network requests', leaks)
+    leaks = []
+  }
+})
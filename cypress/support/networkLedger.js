@@ -0,0 +1,119 @@
+/*
+ * networkLedger.js - Per-test record of network traffic
+ * =====================================================
+ *
+ * Every browser XHR/fetch request (mocked or real) and every cy.request()
+ * call - including apiRequest and the other api* commands - is written to
+ * a ledger for the current test:
+ *
+ *   method, URL, status, duration, headers and bodies
+ *
+ * Bodies are cut to LEDGER_BODY_LIMIT characters and credentials
+ * (Authorization, Cookie, API keys, password and token fields) are replaced
+ * with [redacted] - see ledgerEntries.js. A cy.request() that fails
+ * (failOnStatusCode, network error) is recorded with the reason.
+ *
+ * When a test fails its ledger is attached to the test in the mochawesome
+ * report, together with the failing cy.request() call as a cURL command
+ * (secrets read from environment variables, see curlCommand.js) - the
+ * call that threw, otherwise the last one the test made. With
+ * --env harExport=true every spec's traffic is also saved as
+ * cypress/reports/har/<spec path>.har (see cypress/plugins/harExport.js),
+ * and with --env curlExport=true its cy.request() calls are saved as
+ * cypress/reports/curl/<spec path>.sh (see cypress/plugins/curlExport.js).
+ */
+import { normalizeRequestArgs } from './requestArgs'
+import { addTestContext } from './reportContext'
+import { renderCurl, fullUrl } from './curlCommand'
+import { toScript } from './curlScript'
+import { redactHeaders, redactBody, redactUrl, truncateBody, failEntry, formatLedger, formatCurl } from './ledgerEntries'
+
+const XHR_OR_FETCH = /^(xhr|fetch)$/
+
+let testEntries = []
+let specEntries = []
+
+function startEntry(source, method, url, headers, body) {
+  const entry = {
+    source,
+    test: Cypress.currentTest ? Cypress.currentTest.titlePath.join(' > ') : null,
+    startedAt: new Date().toISOString(),
+    method,
+    url: redactUrl(url),
+    status: null,
+    duration: null,
+    requestHeaders: redactHeaders(headers),
+    requestBody: truncateBody(redactBody(body)),
+    responseHeaders: {},
+    responseBody: null
+  }
+  testEntries.push(entry)
+  specEntries.push(entry)
+  return entry
+}
+
+function finishEntry(entry, status, headers, body, duration) {
+  entry.status = status
+  entry.duration = duration !== undefined ? duration : Date.now() - Date.parse(entry.startedAt)
+  entry.responseHeaders = redactHeaders(headers)
+  entry.responseBody = truncateBody(redactBody(body))
+}
+
+// cy.request() and every command built on it
+Cypress.Commands.overwrite('request', (originalFn, ...args) => {
+  const options = normalizeRequestArgs(args)
+  // Relative URLs go to baseUrl, like cy.request itself; qs is part of the
+  // URL, so the ledger shows the request the cURL command repeats
+  const absoluteUrl = /^https?:\/\//.test(options.url) ? options.url : (Cypress.config('baseUrl') || '') + options.url
+  const entry = startEntry('cy.request', options.method, fullUrl(absoluteUrl, options.qs), options.headers, options.body)
+  entry.curl = renderCurl({ ...options, url: absoluteUrl })
+
+  return originalFn(...args).then((response) => {
+    finishEntry(entry, response.status, response.headers, response.body, response.duration)
+    return response
+  })
+})
+
+// Middleware runs before every other intercept, so stubbed requests are seen too
+beforeEach(() => {
+  testEntries = []
+
+  cy.intercept({ resourceType: XHR_OR_FETCH, middleware: true }, (req) => {
+    const entry = startEntry('browser', req.method, req.url, req.headers, req.body)
+    req.on('after:response', (res) => {
+      finishEntry(entry, res.statusCode, res.headers, res.body)
+    })
+  })
+})
+
+afterEach(function () {
+  // A cy.request() that threw (failOnStatusCode, network error) never got to finishEntry
+  const err = this.currentTest.err
+  testEntries
+    .filter((entry) => entry.source === 'cy.request' && entry.status === null && !entry.error)
+    .forEach((entry) => failEntry(entry, err ? err.message : 'cy.request() failed'))
+
+  if (this.currentTest.state === 'failed' && testEntries.length > 0) {
+    addTestContext('Network ledger', formatLedger(testEntries))
+    addTestContext('Network ledger (details)', testEntries)
+
+    const apiCalls = testEntries.filter((entry) => entry.curl)
+    const failing = apiCalls.find((entry) => entry.error) || apiCalls[apiCalls.length - 1]
+    if (failing) {
+      addTestContext('Reproduce with cURL', formatCurl([failing]))
+    }
+  }
+  testEntries = []
+})
+
+after(() => {
+  if (Cypress.env('harExport') === true && specEntries.length > 0) {
+    cy.task('saveHar', { spec: Cypress.spec.relative, entries: specEntries }, { log: false })
+  }
+  const curlEntries = specEntries.filter((entry) => entry.curl)
+  if (Cypress.env('curlExport') === true && curlEntries.length > 0) {
+    const script = toScript(Cypress.spec.relative, curlEntries, Cypress.env('environment'))
+    cy.task('saveCurlScript', { spec: Cypress.spec.relative, script, count: curlEntries.length }, { log: false })
+  }
+  specEntries = []
+})
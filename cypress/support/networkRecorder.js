@@ -0,0 +1,111 @@
+/*
+ * networkRecorder.js - Browser side of network record / replay
+ * ============================================================
+ *
+ * Works with cypress/plugins/networkRecorder.js, which sets
+ * Cypress.env('networkMode'):
+ *
+ *   record - responses to XHR/fetch requests are collected during the spec
+ *            and saved through the 'saveNetworkRecording' task
+ *   replay - the spec's recording is loaded once and served through a
+ *            catch-all cy.intercept(); a request with no recording goes to
+ *            the network and is added to the report
+ *   live   - no-op
+ *
+ * Intercepts set up by a test are newer than the catch-all, so they still
+ * win over recordings (e.g. cy.mockScenario in a replayed spec).
+ *
+ * Responses are recorded and replayed per test (see networkReplay.js).
+ * Recording a retried test keeps only its last attempt, and a partial run
+ * (.only, grep) replaces only the recordings of the tests that ran.
+ *
+ * Recordings are committed, so credentials are left out the way the
+ * network ledger does it (ledgerEntries.js): query parameters and body
+ * fields named like secrets become [redacted]. Replay looks requests up
+ * by the redacted URL too.
+ */
+import { addTestContext } from './reportContext'
+import { requestKey, testKey, buildReplayQueues, nextReplay } from './networkReplay'
+import { redactBody, redactUrl } from './ledgerEntries'
+
+const XHR_OR_FETCH = /^(xhr|fetch)$/
+
+let recordedEntries = []
+let recordedTests = []
+let replayEntries = []
+let misses = []
+
+function recordResponses() {
+  const test = testKey(Cypress.currentTest.titlePath)
+  // A retry records the test again - drop what the failed attempt recorded
+  recordedEntries = recordedEntries.filter((entry) => entry.test !== test)
+  if (!recordedTests.includes(test)) {
+    recordedTests.push(test)
+  }
+
+  cy.intercept({ resourceType: XHR_OR_FETCH }, (req) => {
+    req.continue((res) => {
+      recordedEntries.push({
+        test,
+        method: req.method,
+        url: redactUrl(req.url),
+        statusCode: res.statusCode,
+        headers: { 'content-type': res.headers['content-type'] || 'application/json' },
+        body: redactBody(res.body)
+      })
+    })
+  })
+}
+
+function replayResponses() {
+  const test = testKey(Cypress.currentTest.titlePath)
+  const queues = buildReplayQueues(replayEntries, test)
+
+  cy.intercept({ resourceType: XHR_OR_FETCH }, (req) => {
+    const entry = nextReplay(queues, requestKey(req.method, redactUrl(req.url)))
+    if (entry) {
+      req.reply({ statusCode: entry.statusCode, headers: entry.headers, body: entry.body })
+      return
+    }
+
+    misses.push({ spec: Cypress.spec.relative, test, method: req.method, url: req.url })
+    addTestContext('Network replay', 'No recording for ' + req.method + ' ' + req.url + ' in this test')
+  })
+}
+
+before(() => {
+  if (Cypress.env('networkMode') !== 'replay') {
+    return
+  }
+
+  cy.task('loadNetworkRecording', Cypress.spec.relative, { log: false }).then((recording) => {
+    replayEntries = recording ? recording.entries : []
+    if (!recording) {
+      Cypress.log({ name: 'replay', message: 'No recording for ' + Cypress.spec.relative + ' - requests go to the network' })
+    }
+  })
+})
+
+beforeEach(() => {
+  const mode = Cypress.env('networkMode')
+  if (mode === 'record') {
+    recordResponses()
+  } else if (mode === 'replay') {
+    replayResponses()
+  }
+})
+
+after(() => {
+  const mode = Cypress.env('networkMode')
+
+  if (mode === 'record') {
+    cy.task('saveNetworkRecording', { spec: Cypress.spec.relative, tests: recordedTests, entries: recordedEntries }, { log: false })
+    recordedEntries = []
+    recordedTests = []
+  }
+
+  if (mode === 'replay' && misses.length > 0) {
+    cy.task('recordNetworkMisses', misses, { log: false })
+    misses = []
+  }
+})
@@ -0,0 +1,41 @@
+/*
+ * networkReplay.js - Match requests to recorded responses
+ * =======================================================
+ *
+ * Pure helpers used by networkRecorder.js in replay mode. Every recorded
+ * response carries the test it was recorded in, and a test is only
+ * served its own responses - so two tests that call the same URL and
+ * expect different answers still get theirs when one runs alone
+ * (.only, grep, retries).
+ *
+ * Within a test, repeated calls to the same METHOD + URL are replayed in
+ * recorded order; the last response is repeated once they run out.
+ */
+
+export function requestKey(method, url) {
+  return method.toUpperCase() + ' ' + url
+}
+
+// "Spec title > describe > it" - the key recordings are stored under
+export function testKey(titlePath) {
+  return titlePath.join(' > ')
+}
+
+// Key -> the test's responses in recorded order
+export function buildReplayQueues(entries, test) {
+  const queues = {}
+  entries.filter((entry) => entry.test === test).forEach((entry) => {
+    const key = requestKey(entry.method, entry.url)
+    queues[key] = queues[key] || []
+    queues[key].push(entry)
+  })
+  return queues
+}
+
+export function nextReplay(queues, key) {
+  const queue = queues[key]
+  if (!queue) {
+    return null
+  }
+  return queue.length > 1 ? queue.shift() : queue[0]
+}
@@ -0,0 +1,193 @@
+/*
+ * pagination.js - Walk paged list endpoints and check their invariants
+ * ====================================================================
+ *
+ * Pure helpers used by cy.apiPaginate(). Four strategies:
+ *
+ *   page         ?page=2&per_page=6          (reqres.in)
+ *                items in body.data, totals in body.total / body.total_pages
+ *   offset       ?_start=20&_limit=10        (JSONPlaceholder)
+ *                stops at a short page; total from X-Total-Count
+ *   link-header  ?_page=1&_limit=10, then the rel="next" URL of the Link
+ *                header until there is none (JSONPlaceholder, GitHub)
+ *   cursor       ?cursor=<body.next_cursor>&limit=10 until it is empty
+ *
+ * Every option below can be overridden per call, e.g. for an API that
+ * uses ?offset=&limit= instead of ?_start=&_limit=.
+ */
+
+export const PAGINATION_DEFAULTS = {
+  page: { pageParam: 'page', sizeParam: 'per_page', pageSize: 6, itemsPath: 'data', totalPath: 'total', totalPagesPath: 'total_pages' },
+  offset: { offsetParam: '_start', sizeParam: '_limit', pageSize: 10, totalHeader: 'x-total-count' },
+  'link-header': { pageParam: '_page', sizeParam: '_limit', pageSize: 10, totalHeader: 'x-total-count' },
+  cursor: { cursorParam: 'cursor', sizeParam: 'limit', pageSize: 10, itemsPath: 'data', cursorPath: 'next_cursor' }
+}
+
+// 'meta.total' -> body.meta.total
+function getPath(value, path) {
+  if (!path) {
+    return undefined
+  }
+  return path.split('.').reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), value)
+}
+
+/*
+ * parseLinkHeader - '<https://x/posts?_page=2>; rel="next", ...'
+ *
+ * Returns: { next: 'https://x/posts?_page=2', last: ... }
+ */
+export function parseLinkHeader(header) {
+  const links = {}
+  String(header || '').split(',').forEach((part) => {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/)
+    if (match) {
+      match[2].split(/\s+/).forEach((rel) => {
+        links[rel] = match[1]
+      })
+    }
+  })
+  return links
+}
+
+export function paginationSettings(options = {}) {
+  const strategy = options.strategy || 'page'
+  if (!PAGINATION_DEFAULTS[strategy]) {
+    throw new Error('apiPaginate: unknown strategy "' + strategy + '". Valid: ' + Object.keys(PAGINATION_DEFAULTS).join(', '))
+  }
+  return { maxPages: 100, idKey: 'id', qs: {}, ...PAGINATION_DEFAULTS[strategy], ...options, strategy }
+}
+
+// The request for the first page: { url, qs }
+export function firstPageRequest(url, settings) {
+  const qs = { ...settings.qs, [settings.sizeParam]: settings.pageSize }
+  if (settings.strategy === 'page' || settings.strategy === 'link-header') {
+    qs[settings.pageParam] = settings.startPage || 1
+  }
+  if (settings.strategy === 'offset') {
+    qs[settings.offsetParam] = 0
+  }
+  return { url, qs }
+}
+
+/*
+ * readPage - The parts of a response the walker needs
+ *
+ * Returns: { items, total, totalPages, links, cursor, url }
+ */
+export function readPage(response, request, settings) {
+  const body = response.body
+  const items = Array.isArray(body) ? body : getPath(body, settings.itemsPath)
+  if (!Array.isArray(items)) {
+    throw new Error(
+      'apiPaginate: ' + request.url + ' did not return a list' +
+      (settings.itemsPath ? ' (nor one at "' + settings.itemsPath + '")' : '') +
+      '. Set itemsPath to where the items are.'
+    )
+  }
+
+  const headerTotal = settings.totalHeader ? response.headers[settings.totalHeader] : undefined
+  const bodyTotal = Array.isArray(body) ? undefined : getPath(body, settings.totalPath)
+  const total = bodyTotal !== undefined ? Number(bodyTotal) : headerTotal !== undefined ? Number(headerTotal) : null
+  const totalPages = Array.isArray(body) ? undefined : getPath(body, settings.totalPagesPath)
+
+  return {
+    url: request.url,
+    qs: request.qs,
+    items,
+    total,
+    totalPages: totalPages !== undefined ? Number(totalPages) : null,
+    links: parseLinkHeader(response.headers.link),
+    cursor: Array.isArray(body) ? null : getPath(body, settings.cursorPath) || null
+  }
+}
+
+// The request for the page after this one, or null at the end
+export function nextPageRequest(settings, request, page, pages) {
+  if (page.items.length === 0) {
+    return null
+  }
+
+  switch (settings.strategy) {
+    case 'page': {
+      const current = Number(request.qs[settings.pageParam])
+      if (page.totalPages !== null ? current >= page.totalPages : page.items.length < settings.pageSize) {
+        return null
+      }
+      return { url: request.url, qs: { ...request.qs, [settings.pageParam]: current + 1 } }
+    }
+    case 'offset': {
+      const offset = Number(request.qs[settings.offsetParam]) + page.items.length
+      if (page.items.length < settings.pageSize || (page.total !== null && offset >= page.total)) {
+        return null
+      }
+      return { url: request.url, qs: { ...request.qs, [settings.offsetParam]: offset } }
+    }
+    case 'link-header':
+      // The next URL already carries the whole query string
+      return page.links.next ? { url: page.links.next, qs: {} } : null
+    case 'cursor':
+      if (!page.cursor) {
+        return null
+      }
+      if (pages.slice(0, -1).some((earlier) => earlier.cursor === page.cursor)) {
+        throw new Error('apiPaginate: cursor "' + page.cursor + '" was returned twice - the walk would never end')
+      }
+      return { url: request.url, qs: { ...request.qs, [settings.cursorParam]: page.cursor } }
+    default:
+      return null
+  }
+}
+
+/*
+ * checkPagination - Invariants over all walked pages
+ *
+ * Returns: a list of problems - empty when the pages are consistent
+ */
+export function checkPagination(pages, settings) {
+  const problems = []
+  const seen = new Map()
+
+  pages.forEach((page, pageIndex) => {
+    page.items.forEach((item) => {
+      const key = item !== null && typeof item === 'object' && settings.idKey in item
+        ? String(item[settings.idKey])
+        : JSON.stringify(item)
+      if (seen.has(key)) {
+        problems.push(settings.idKey + ' ' + key + ' is on page ' + (seen.get(key) + 1) + ' and again on page ' + (pageIndex + 1))
+      } else {
+        seen.set(key, pageIndex)
+      }
+    })
+  })
+
+  const totals = Array.from(new Set(pages.map((page) => page.total).filter((total) => total !== null)))
+  if (totals.length > 1) {
+    problems.push('total count changed between pages: ' + totals.join(' -> '))
+  }
+  const itemCount = pages.reduce((sum, page) => sum + page.items.length, 0)
+  if (totals.length === 1 && totals[0] !== itemCount) {
+    problems.push('total says ' + totals[0] + ' items but the pages held ' + itemCount)
+  }
+
+  if (settings.strategy === 'link-header') {
+    pages.forEach((page, pageIndex) => {
+      const isLast = pageIndex === pages.length - 1
+      if (isLast && page.links.next) {
+        problems.push('page ' + (pageIndex + 1) + ' is the last one but its Link header has rel="next"')
+      }
+      if (!isLast && !page.links.next) {
+        problems.push('page ' + (pageIndex + 1) + ' has no rel="next" link')
+      }
+      if (pageIndex > 0 && !page.links.prev) {
+        problems.push('page ' + (pageIndex + 1) + ' has no rel="prev" link')
+      }
+    })
+    const last = pages[0] && pages[0].links.last
+    const final = pages[pages.length - 1]
+    if (last && final && last !== final.url && pages.length > 1) {
+      problems.push('rel="last" pointed to ' + last + ' but the walk ended at ' + final.url)
+    }
+  }
+
+  return problems
+}
@@ -0,0 +1,24 @@
+/*
+ * reportContext.js - Attach extra information to the mochawesome report
+ * =====================================================================
+ *
+ * Support code can call addTestContext() at any point during a test
+ * (including its hooks). The entries are attached to that test's report
+ * entry when it finishes, and show up under the test in the HTML report.
+ *
+ * Usage (support files only - specs can use mochawesome/addContext):
+ *   import { addTestContext } from './reportContext'
+ *   addTestContext('Feature flag gate', 'newCheckout is disabled in production')
+ */
+import addContext from 'mochawesome/addContext'
+
+let pendingContext = []
+
+export function addTestContext(title, value) {
+  pendingContext.push({ title, value })
+}
+
+Cypress.on('test:after:run', (test) => {
+  pendingContext.forEach((context) => addContext({ test }, context))
+  pendingContext = []
+})
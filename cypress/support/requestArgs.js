@@ -0,0 +1,40 @@
+/*
+ * requestArgs.js - Normalize cy.request() arguments
+ * =================================================
+ *
+ * cy.request() accepts several call shapes:
+ *   cy.request(url)
+ *   cy.request(url, body)
+ *   cy.request(method, url)
+ *   cy.request(method, url, body)
+ *   cy.request(options)
+ *
+ * Support code that overwrites cy.request turns them into one options
+ * object with this helper, so it only has to look at options.method/url.
+ */
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS']
+
+export const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE']
+
+export function normalizeRequestArgs(args) {
+  const [first, second, third] = args
+
+  if (first !== null && typeof first === 'object') {
+    return { ...first, method: (first.method || 'GET').toUpperCase() }
+  }
+
+  if (args.length > 1 && typeof first === 'string' && HTTP_METHODS.includes(first.toUpperCase())) {
+    const options = { method: first.toUpperCase(), url: second }
+    if (third !== undefined) {
+      options.body = third
+    }
+    return options
+  }
+
+  const options = { method: 'GET', url: first }
+  if (second !== undefined) {
+    options.body = second
+  }
+  return options
+}
@@ -0,0 +1,50 @@
+/*
+ * requestChecks.js - Keep some requests out of the traffic checks
+ * ===============================================================
+ *
+ * contractCheck.js and latencyCheck.js look at every cy.request(). Calls
+ * whose answer is not what the test gets back carry skipChecks: true
+ * (uncheckedRequest() adds it), so they neither fail a test nor count in
+ * the reports:
+ *
+ *   - cleanup DELETEs (resourceCleanup.js) - 404 for a resource that is
+ *     already gone is expected, even though no contract documents it
+ *   - cy.apiRequest() attempts - a 503 that is retried is not the answer;
+ *     apiRequest runs the checks on the response it yields with
+ *     checkResponse()
+ *
+ * The option belongs to the one call. The checks read it with
+ * requestChecksSkipped(options), and the innermost cy.request overwrite
+ * below removes it before Cypress sees the options - commands.js imports
+ * this file first, so it is registered before every other overwrite.
+ */
+
+const responseChecks = []
+
+// contractCheck.js and latencyCheck.js register what they do with a response
+export function addResponseCheck(check) {
+  responseChecks.push(check)
+}
+
+// The checks uncheckedRequest() skipped, for the response a command keeps
+export function checkResponse(options, response) {
+  responseChecks.forEach((check) => check(options, response))
+}
+
+export function requestChecksSkipped(options) {
+  return Boolean(options && options.skipChecks)
+}
+
+// cy.request(options) without the contract and latency checks
+export function uncheckedRequest(options) {
+  return cy.request({ ...options, skipChecks: true })
+}
+
+Cypress.Commands.overwrite('request', (originalFn, ...args) => {
+  const [first, ...rest] = args
+  if (first !== null && typeof first === 'object' && 'skipChecks' in first) {
+    const { skipChecks, ...options } = first
+    return originalFn(options, ...rest)
+  }
+  return originalFn(...args)
+})
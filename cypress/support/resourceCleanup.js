@@ -0,0 +1,110 @@
+/*
+ * resourceCleanup.js - Delete what the tests created
+ * ==================================================
+ *
+ * cy.apiCreate() and cy.trackResource() register every created resource
+ * with the URL that deletes it. Global hooks then remove them, newest
+ * first:
+ *
+ *   afterEach - resources created by that test (scope 'test', the default)
+ *   after     - resources kept for the whole spec (scope 'spec'), e.g. a
+ *               user created in one test and read back in the next
+ *
+ * A DELETE that answers 404/410 counts as done - the DELETEs skip the
+ * contract and latency checks (requestChecks.js). 429 and 5xx answers are
+ * retried with a growing pause; whatever is still there afterwards is a
+ * leak - it is added to the test's report entry and listed at the end of
+ * the run by cypress/plugins/leakedResources.js.
+ *
+ * Usage in tests:
+ *   cy.apiCreate(siteUrl('jsonPlaceholder', '/posts'), post)      // tracked automatically
+ *   cy.trackResource('user', body.id, siteUrl('jsonPlaceholder', `/users/${body.id}`))
+ *   cy.trackResource('user', id, url, { scope: 'spec' })   // also re-scopes an apiCreate
+ */
+import { addTestContext } from './reportContext'
+import { uncheckedRequest } from './requestChecks'
+
+const MAX_ATTEMPTS = 3
+const RETRY_DELAY_MS = 500
+const TRANSIENT_STATUSES = [429, 500, 502, 503, 504]
+
+let resources = []
+let leaked = []
+
+export function trackResource(type, id, deleteUrl, options = {}) {
+  const { scope = 'test' } = options
+  if (!['test', 'spec'].includes(scope)) {
+    throw new Error('trackResource: scope must be "test" or "spec" (got "' + scope + '")')
+  }
+  if (!deleteUrl) {
+    throw new Error('trackResource: a delete URL is required for ' + type + ' ' + id)
+  }
+
+  // Tracking a URL again (e.g. to widen its scope) replaces the old entry
+  untrackResource(deleteUrl)
+  resources.push({
+    type,
+    id,
+    deleteUrl,
+    scope,
+    test: Cypress.currentTest ? Cypress.currentTest.title : null
+  })
+}
+
+// Forget a resource the test deleted itself
+export function untrackResource(deleteUrl) {
+  resources = resources.filter((resource) => resource.deleteUrl !== deleteUrl)
+}
+
+function deleteWithRetry(resource, attempt = 1) {
+  return uncheckedRequest({ method: 'DELETE', url: resource.deleteUrl, failOnStatusCode: false, log: false }).then((response) => {
+    if (response.status < 300 || response.status === 404 || response.status === 410) {
+      return
+    }
+
+    if (TRANSIENT_STATUSES.includes(response.status) && attempt < MAX_ATTEMPTS) {
+      cy.wait(RETRY_DELAY_MS * attempt, { log: false })
+      return deleteWithRetry(resource, attempt + 1)
+    }
+
+    leaked.push({ type: resource.type, id: resource.id, deleteUrl: resource.deleteUrl, test: resource.test, status: response.status, attempts: attempt })
+  })
+}
+
+// Delete the given resources newest first and report the ones left behind
+function cleanUp(selected) {
+  if (selected.length === 0) {
+    return
+  }
+  resources = resources.filter((resource) => !selected.includes(resource))
+  const leakedBefore = leaked.length
+
+  cy.log(`🧹 Cleaning up ${selected.length} created resource(s)`)
+  selected.slice().reverse().forEach((resource) => deleteWithRetry(resource))
+
+  cy.wrap(null, { log: false }).then(() => {
+    const newLeaks = leaked.slice(leakedBefore)
+    if (newLeaks.length > 0) {
+      addTestContext('Leaked resources', newLeaks)
+      Cypress.log({
+        name: 'cleanup',
+        message: '⚠️ Could not delete ' + newLeaks.map((leak) => leak.type + ' ' + leak.id + ' (' + leak.status + ')').join(', ')
+      })
+    }
+  })
+}
+
+afterEach(() => {
+  cleanUp(resources.filter((resource) => resource.scope === 'test'))
+})
+
+after(() => {
+  cleanUp(resources)
+
+  cy.wrap(null, { log: false }).then(() => {
+    if (leaked.length > 0) {
+      cy.task('recordLeakedResources', { spec: Cypress.spec.relative, leaked }, { log: false })
+      leaked = []
+    }
+  })
+})
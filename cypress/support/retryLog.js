@@ -0,0 +1,57 @@
+/*
+ * retryLog.js - Keep retried API calls visible
+ * ============================================
+ *
+ * cy.apiRequest() retries transient failures (see retryPolicy.js) and
+ * reports every call that needed more than one attempt here. Retries
+ * must not hide a flaky backend, so each one is:
+ *
+ *   - added to the test's mochawesome report entry, passed or failed
+ *   - sent to cypress/plugins/retryReport.js, which lists the flakiest
+ *     endpoints at the end of the run (cypress/reports/api-retries.json)
+ */
+import { locateSite, endpointKey } from './latency'
+import { addTestContext } from './reportContext'
+
+let testRetries = []
+let specRetries = []
+
+/*
+ * recordRetries - One API call that took more than one attempt
+ *
+ * statuses: the status of every attempt, e.g. [503, 503, 200]
+ * outcome:  'recovered' or why it stopped (e.g. 'gave up after 3 attempt(s)')
+ */
+export function recordRetries({ method, url, statuses, outcome }) {
+  const location = locateSite(Cypress.env('sites') || {}, url)
+  const entry = {
+    endpoint: location ? endpointKey(location.site, method, location.path) : method + ' ' + url.split('?')[0],
+    method,
+    url,
+    attempts: statuses.length,
+    statuses,
+    outcome,
+    test: Cypress.currentTest ? Cypress.currentTest.titlePath.join(' > ') : null
+  }
+  testRetries.push(entry)
+  specRetries.push(entry)
+}
+
+// "GET https://... 503 -> 503 -> 200 (recovered)"
+export function formatRetries(entries) {
+  return entries.map((entry) => entry.method + ' ' + entry.url + '  ' + entry.statuses.join(' -> ') + ' (' + entry.outcome + ')')
+}
+
+afterEach(() => {
+  if (testRetries.length > 0) {
+    addTestContext('API retries', formatRetries(testRetries))
+  }
+  testRetries = []
+})
+
+after(() => {
+  if (specRetries.length > 0) {
+    cy.task('recordApiRetries', { spec: Cypress.spec.relative, retries: specRetries }, { log: false })
+  }
+  specRetries = []
+})
@@ -0,0 +1,93 @@
+/*
+ * retryPolicy.js - When and how long to wait before resending an API call
+ * =======================================================================
+ *
+ * Pure helpers used by cy.apiRequest(). The policy is the profile's
+ * apiRetry block in envconfig.js and can be changed per call:
+ *
+ *   apiRetry: {
+ *     maxAttempts: 3,                        // first try included
+ *     statusCodes: [429, 502, 503, 504],     // answers worth another try
+ *     methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],   // idempotent only
+ *     networkErrors: true,                   // retry when the host can't be reached
+ *     baseDelayMs: 500,                      // 500, 1000, 2000, ... ms
+ *     maxDelayMs: 8000,
+ *     jitter: 0.2                            // wait up to 20% less, at random
+ *   }
+ *
+ *   cy.apiRequest({ service: 'reqres', path: '/users', retry: { maxAttempts: 5 } })
+ *   cy.apiRequest({ service: 'reqres', path: '/users', retry: false })
+ *
+ * A Retry-After header (seconds or HTTP date) replaces the computed delay.
+ * When it asks for more than maxDelayMs the call is not retried.
+ *
+ * A network error ends a cy.request() and the test with it. With
+ * networkErrors on, cy.apiRequest() lets Cypress resend an attempt that
+ * hit one (retryOnNetworkFailure), and before each of its own retries it
+ * checks that the host still takes connections (the checkConnection task,
+ * cypress/plugins/retryReport.js) - a refused check is retried instead.
+ */
+
+/*
+ * resolveRetryPolicy - Profile policy with the per-call override on top
+ *
+ * override: an object with some of the keys above, or false for one attempt
+ */
+export function resolveRetryPolicy(profilePolicy, override) {
+  if (override === false) {
+    return { ...profilePolicy, maxAttempts: 1, networkErrors: false }
+  }
+  return { ...profilePolicy, ...override }
+}
+
+/*
+ * parseRetryAfter - Retry-After header -> ms to wait, or null
+ *
+ * '120' -> 120000, 'Wed, 21 Oct 2026 07:28:00 GMT' -> ms until then
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null
+  }
+  const text = String(Array.isArray(value) ? value[0] : value).trim()
+  if (/^\d+$/.test(text)) {
+    return Number(text) * 1000
+  }
+  const date = Date.parse(text)
+  return Number.isNaN(date) ? null : Math.max(0, date - now)
+}
+
+// Exponential delay before the given retry (1 = first retry), with jitter
+export function backoffDelay(policy, retry, random = Math.random) {
+  const delay = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, retry - 1))
+  return Math.round(delay * (1 - policy.jitter * random()))
+}
+
+/*
+ * retryDecision - Whether to resend after this attempt
+ *
+ * response: the answer, or null when the host could not be reached
+ * Returns: { retry: true, delayMs, reason } or { retry: false, reason }
+ *          (reason is null when the response is simply final)
+ */
+export function retryDecision(policy, method, response, attempt, random = Math.random) {
+  const retryable = response === null ? policy.networkErrors : policy.statusCodes.includes(response.status)
+  if (!retryable) {
+    return { retry: false, reason: null }
+  }
+  if (!policy.methods.includes(method.toUpperCase())) {
+    return { retry: false, reason: method.toUpperCase() + ' is not retried (not in apiRetry.methods)' }
+  }
+  if (attempt >= policy.maxAttempts) {
+    return { retry: false, reason: 'gave up after ' + attempt + ' attempt(s)' }
+  }
+
+  const retryAfter = response === null ? null : parseRetryAfter(response.headers && response.headers['retry-after'])
+  if (retryAfter !== null && retryAfter > policy.maxDelayMs) {
+    return { retry: false, reason: 'Retry-After asks for ' + retryAfter + 'ms, more than maxDelayMs (' + policy.maxDelayMs + ')' }
+  }
+  if (retryAfter !== null) {
+    return { retry: true, delayMs: retryAfter, reason: 'Retry-After' }
+  }
+  return { retry: true, delayMs: backoffDelay(policy, attempt, random), reason: 'backoff' }
+}
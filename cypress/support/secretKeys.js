@@ -0,0 +1,18 @@
+/*
+ * secretKeys.js - Names that hold credentials
+ * ===========================================
+ *
+ * One pattern for every place that hides secrets: the provenance table
+ * (cypress/plugins/envResolver.js, Node) and cy.envInfo() in the
+ * browser. Kept in CommonJS so both sides can load it:
+ *
+ *   const { SECRET_KEY_PATTERN } = require('../support/secretKeys')
+ *   import { SECRET_KEY_PATTERN } from './secretKeys'
+ */
+
+// password, apiToken, client_secret, x-api-key, credentials, ...
+const SECRET_KEY_PATTERN = /pass(word|wd)?|secret|token|api[_-]?key|credential/i
+
+module.exports = {
+  SECRET_KEY_PATTERN
+}
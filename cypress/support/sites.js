@@ -0,0 +1,61 @@
+/*
+ * sites.js - Named site registry helpers
+ * ======================================
+ *
+ * envconfig.js maps logical site names to base URLs per profile:
+ *   sites: { herokuapp: 'https://the-internet.herokuapp.com', reqres: 'https://reqres.in/api', ... }
+ *
+ * Specs and commands build URLs from those names instead of hardcoding
+ * hosts, so pointing a whole suite at a local stand-in is one config change.
+ *
+ * Usage:
+ *   import { siteUrl } from '../../support/sites'
+ *   cy.request(siteUrl('jsonPlaceholder', '/posts/1'))
+ *   cy.visitSite('herokuapp', '/login')
+ *   cy.apiRequest({ service: 'reqres', path: '/login', method: 'POST', body })
+ */
+
+import { locateSite } from './latency'
+
+export function getSites() {
+  return Cypress.env('sites') || {}
+}
+
+// Build a full URL for a site name and optional path - throws if unknown
+export function siteUrl(name, path = '') {
+  const sites = getSites()
+  const baseUrl = sites[name]
+
+  if (!baseUrl) {
+    throw new Error(
+      'Unknown site "' + name + '". Sites for ' + Cypress.env('environment') + ': ' +
+      Object.keys(sites).join(', ')
+    )
+  }
+
+  if (!path) {
+    return baseUrl
+  }
+  return baseUrl.replace(/\/+$/, '') + (path.startsWith('/') ? path : '/' + path)
+}
+
+// True when the site is served by a local stand-in (writes really persist)
+export function isStandin(name) {
+  const standins = Cypress.env('standins') || []
+  const list = typeof standins === 'string' ? standins.split(',') : standins
+  return list.map((entry) => String(entry).trim()).includes(name)
+}
+
+// 'reqres /login' allows https://reqres.in/api/login and .../login/..., nothing else
+export function isAllowedWrite(allowedWrites, sites, url) {
+  const location = locateSite(sites, url)
+  if (!location) {
+    return false
+  }
+  return allowedWrites.some((entry) => {
+    const [site, path = '/'] = entry.split(' ')
+    const allowedPath = path.replace(/\/+$/, '') || '/'
+    return site === location.site &&
+      (allowedPath === '/' || location.path === allowedPath || location.path.startsWith(allowedPath + '/'))
+  })
+}
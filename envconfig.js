@@ -1,70 +1,496 @@
 /*
  * envconfig.js - Environment Configuration
  * =========================================
- * 
+ *
  * This file contains all environment-specific settings.
  * Import this into cypress.config.js to keep configs separate.
- * 
+ *
  * Usage:
  *   Windows:   set CYPRESS_ENV=prod && npx cypress run
  *   Mac/Linux: CYPRESS_ENV=prod npx cypress run
  *   Default:   qa (if CYPRESS_ENV not set)
+ *   Offline:   CYPRESS_ENV=offline serves herokuapp, JSONPlaceholder and reqres
+ *              from local stand-ins (cypress/plugins/standins)
+ *
+ * Validation:
+ *   The requested profile name and every profile are checked when the
+ *   config loads. A misspelled CYPRESS_ENV or a broken profile aborts
+ *   `cypress run` with a message listing the valid profiles, instead of
+ *   silently falling back to QA.
  */
 
 // Detect current environment from system variable
 const currentEnv = process.env.CYPRESS_ENV || 'qa'
 
+// Named sites used by the specs (logical name -> base URL)
+// Point a name at a local stand-in to switch every spec that uses it
+const defaultSites = {
+  herokuapp: 'https://the-internet.herokuapp.com',
+  jsonPlaceholder: 'https://jsonplaceholder.typicode.com',
+  reqres: 'https://reqres.in/api',
+  practiceAutomation: 'https://practicetestautomation.com',
+  saucedemo: 'https://www.saucedemo.com',
+  httpbin: 'https://httpbin.org'
+}
+
+// OpenAPI 3 contracts per site name (see cypress/plugins/contracts.js)
+const defaultContracts = {
+  jsonPlaceholder: 'cypress/contracts/jsonplaceholder.openapi.json'
+}
+
+// Response time budgets in ms: '<site>', '<site> <METHOD>' or '<site> <METHOD> <path>'
+// ('*' matches one path segment). The most specific matching key wins.
+const defaultLatencyBudgets = {
+  jsonPlaceholder: 2000,
+  'jsonPlaceholder GET /posts': 1500,
+  'jsonPlaceholder GET /posts/*': 1000,
+  reqres: 2500
+}
+
+// Retries for transient API failures - see cypress/support/retryPolicy.js
+const defaultApiRetry = {
+  maxAttempts: 3,
+  statusCodes: [429, 502, 503, 504],
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  networkErrors: true,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  jitter: 0.2
+}
+
+// Settings every profile shares - a profile lists only what differs.
+// Blocks (featureFlags, policy, latency, ...) are merged one level deep,
+// so a profile can change one key of a block and keep the others.
+const profileDefaults = {
+  baseUrl: 'https://example.cypress.io',
+  // Sites behind Cypress.env('apiBaseUrl') and Cypress.env('authApiUrl') -
+  // the URLs come from the site registry, so stand-ins apply to them too
+  apiSite: 'jsonPlaceholder',
+  authSite: 'reqres',
+  mockEnabled: false,
+
+  // Feature flags - gate tests with requiresFlag('name')
+  featureFlags: {
+    darkMode: true,
+    betaFeatures: true,
+    newCheckout: true
+  },
+
+  // Environment policy - see cypress/support/environmentPolicy.js
+  policy: {
+    readOnly: false,
+    allowedWrites: []
+  },
+
+  // Unmocked-request guard, active when mockEnabled - see cypress/support/networkGuard.js
+  networkGuard: {
+    onUnmocked: 'warn',
+    allowedHosts: ['localhost', '127.0.0.1']
+  },
+
+  // Network chaos for mocked routes - see cypress/support/networkChaos.js
+  chaos: {
+    enabled: false
+  },
+
+  // API contracts - see cypress/support/contractCheck.js ('fail' to fail tests on a mismatch)
+  contracts: {
+    onViolation: 'warn',
+    specs: defaultContracts
+  },
+
+  // Response time budgets in ms - see cypress/support/latencyCheck.js
+  latency: {
+    onBreach: 'warn',
+    defaultBudgetMs: 3000,
+    budgets: defaultLatencyBudgets
+  },
+
+  // Retries for transient API failures - see cypress/support/retryPolicy.js
+  apiRetry: defaultApiRetry,
+
+  // Site registry - use with cy.visitSite() / apiRequest({ service })
+  sites: defaultSites,
+  standins: []
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+// The shared defaults with one profile's own values on top
+function defineProfile(name, values) {
+  const profile = { name, ...JSON.parse(JSON.stringify(profileDefaults)) }
+  Object.entries(values).forEach(([key, value]) => {
+    profile[key] = isPlainObject(profile[key]) && isPlainObject(value) ? { ...profile[key], ...value } : value
+  })
+  return profile
+}
+
 // Environment-specific configurations
 const environments = {
-  
-  development: {
-    name: 'development',
-    baseUrl: 'https://example.cypress.io',
-    apiBaseUrl: 'https://jsonplaceholder.typicode.com',
-    authApiUrl: 'https://reqres.in/api',
+
+  development: defineProfile('development', {
     mockEnabled: true,
     debugMode: true,
     retries: 0,
-    timeout: 8000
-  },
+    timeout: 8000,
+    latency: { defaultBudgetMs: 5000 },
 
-  qa: {
-    name: 'qa',
-    baseUrl: 'https://example.cypress.io',
-    apiBaseUrl: 'https://jsonplaceholder.typicode.com',
-    authApiUrl: 'https://reqres.in/api',
-    mockEnabled: false,
+    // Default Cypress.env() values - see cypress/plugins/envResolver.js
+    env: {
+      username: 'dev_user',
+      timeouts: { apiRequest: 8000, pageLoad: 30000 }
+    }
+  }),
+
+  qa: defineProfile('qa', {
     debugMode: true,
     retries: 1,
-    timeout: 10000
-  },
+    timeout: 10000,
+    latency: { defaultBudgetMs: 4000 },
+    env: {
+      username: 'qa_user',
+      timeouts: { apiRequest: 10000, pageLoad: 30000 }
+    }
+  }),
 
-  staging: {
-    name: 'staging',
-    baseUrl: 'https://example.cypress.io',
-    apiBaseUrl: 'https://jsonplaceholder.typicode.com',
-    authApiUrl: 'https://reqres.in/api',
-    mockEnabled: false,
+  staging: defineProfile('staging', {
     debugMode: false,
     retries: 1,
-    timeout: 12000
-  },
+    timeout: 12000,
+    featureFlags: { betaFeatures: false },
+    env: {
+      username: 'staging_user',
+      timeouts: { apiRequest: 12000, pageLoad: 45000 }
+    }
+  }),
 
-  production: {
-    name: 'production',
-    baseUrl: 'https://example.cypress.io',
-    apiBaseUrl: 'https://jsonplaceholder.typicode.com',
-    authApiUrl: 'https://reqres.in/api',
-    mockEnabled: false,
+  production: defineProfile('production', {
     debugMode: false,
     retries: 2,
-    timeout: 15000
+    timeout: 15000,
+    featureFlags: { betaFeatures: false, newCheckout: false },
+
+    // Production is read-only: mutating requests are refused and tests
+    // tagged @destructive are skipped
+    policy: {
+      readOnly: true,
+      allowedWrites: ['reqres /login', 'reqres /register']
+    },
+
+    apiRetry: { maxAttempts: 2 },
+    env: {
+      username: 'prod_user',
+      timeouts: { apiRequest: 15000, pageLoad: 60000 }
+    }
+  }),
+
+  // Runs the suite without the public demo sites - see cypress/plugins/standins
+  offline: defineProfile('offline', {
+    debugMode: true,
+    retries: 0,
+    timeout: 8000,
+
+    // Local servers answer fast, so anything slow is a bug
+    latency: {
+      onBreach: 'fail',
+      defaultBudgetMs: 1000,
+      budgets: {
+        jsonPlaceholder: 300,
+        reqres: 300,
+        herokuapp: 500
+      }
+    },
+
+    apiRetry: { baseDelayMs: 100, maxDelayMs: 1000 },
+
+    // The stand-ins replace these sites' URLs at startup
+    standins: ['herokuapp', 'jsonPlaceholder', 'reqres', 'httpbin'],
+    env: {
+      username: 'offline_user',
+      timeouts: { apiRequest: 8000, pageLoad: 30000 }
+    }
+  })
+}
+
+// Short names accepted for CYPRESS_ENV (alias -> profile name)
+const aliases = {
+  dev: 'development',
+  test: 'qa',
+  stg: 'staging',
+  stage: 'staging',
+  prod: 'production',
+  local: 'offline'
+}
+
+// What the network guard / contract check / latency check does with a problem
+const GUARD_MODES = ['off', 'warn', 'fail']
+
+// Schema every profile must satisfy
+const profileSchema = {
+  name:        { type: 'string', required: true },
+  baseUrl:     { type: 'string', required: true, format: 'url' },
+  apiSite:     { type: 'string', required: true },
+  authSite:    { type: 'string', required: true },
+  mockEnabled: { type: 'boolean', required: true },
+  debugMode:   { type: 'boolean', required: true },
+  retries:     { type: 'number', required: true, integer: true, min: 0, max: 5 },
+  timeout:     { type: 'number', required: true, integer: true, min: 1000, max: 120000 },
+  featureFlags: { type: 'object', required: true },
+  policy:      { type: 'object', required: true },
+  networkGuard: { type: 'object', required: true },
+  chaos:       { type: 'object', required: true },
+  contracts:   { type: 'object', required: true },
+  latency:     { type: 'object', required: true },
+  apiRetry:    { type: 'object', required: true },
+  sites:       { type: 'object', required: true },
+  standins:    { type: 'object', required: true },
+  env:         { type: 'object', required: false }
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+// List of valid names for error messages, e.g. "production (prod)"
+function describeValidProfiles() {
+  return Object.keys(environments).map((name) => {
+    const names = Object.keys(aliases).filter((alias) => aliases[alias] === name)
+    return names.length > 0 ? name + ' (' + names.join(', ') + ')' : name
+  }).join(', ')
+}
+
+// Turn a requested name or alias into a profile name - throws if unknown
+function resolveEnvName(requested = currentEnv) {
+  const key = String(requested).trim().toLowerCase()
+
+  if (environments[key]) {
+    return key
+  }
+  if (aliases[key]) {
+    return aliases[key]
+  }
+
+  throw new Error(
+    'Unknown environment "' + requested + '" (from CYPRESS_ENV). ' +
+    'Valid profiles: ' + describeValidProfiles()
+  )
+}
+
+function isValidUrl(value) {
+  try {
+    const url = new URL(value)
+    return url.protocol === 'http:' || url.protocol === 'https:'
+  } catch (err) {
+    return false
+  }
+}
+
+// Check one profile against profileSchema - returns a list of problems
+function validateProfile(name, profile) {
+  const errors = []
+
+  Object.entries(profileSchema).forEach(([key, rule]) => {
+    const value = profile[key]
+
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        errors.push(name + '.' + key + ' is required')
+      }
+      return
+    }
+
+    if (typeof value !== rule.type) {
+      errors.push(name + '.' + key + ' must be a ' + rule.type + ' (got ' + typeof value + ')')
+      return
+    }
+
+    if (rule.format === 'url' && !isValidUrl(value)) {
+      errors.push(name + '.' + key + ' must be an http(s) URL (got "' + value + '")')
+    }
+
+    if (rule.integer && !Number.isInteger(value)) {
+      errors.push(name + '.' + key + ' must be a whole number (got ' + value + ')')
+    }
+
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push(name + '.' + key + ' must be >= ' + rule.min + ' (got ' + value + ')')
+    }
+
+    if (rule.max !== undefined && value > rule.max) {
+      errors.push(name + '.' + key + ' must be <= ' + rule.max + ' (got ' + value + ')')
+    }
+  })
+
+  if (profile.featureFlags && typeof profile.featureFlags === 'object') {
+    Object.entries(profile.featureFlags).forEach(([flag, enabled]) => {
+      if (typeof enabled !== 'boolean') {
+        errors.push(name + '.featureFlags.' + flag + ' must be true or false (got ' + JSON.stringify(enabled) + ')')
+      }
+    })
+  }
+
+  if (profile.sites && typeof profile.sites === 'object') {
+    Object.entries(profile.sites).forEach(([site, url]) => {
+      if (!isValidUrl(url)) {
+        errors.push(name + '.sites.' + site + ' must be an http(s) URL (got "' + url + '")')
+      }
+    })
+  }
+
+  const apiSiteKeys = ['apiSite', 'authSite']
+  apiSiteKeys.forEach((key) => {
+    if (typeof profile[key] === 'string' && (!profile.sites || !(profile[key] in profile.sites))) {
+      errors.push(name + '.' + key + ' "' + profile[key] + '" is not a site in ' + name + '.sites')
+    }
+  })
+
+  if (profile.standins !== undefined && (!Array.isArray(profile.standins) ||
+      profile.standins.some((site) => !profile.sites || !(site in profile.sites)))) {
+    errors.push(name + '.standins must be a list of names from ' + name + '.sites')
+  }
+
+  if (profile.policy && typeof profile.policy === 'object') {
+    if (typeof profile.policy.readOnly !== 'boolean') {
+      errors.push(name + '.policy.readOnly must be true or false')
+    }
+    const allowedWrites = profile.policy.allowedWrites
+    if (!Array.isArray(allowedWrites) || allowedWrites.some((entry) => typeof entry !== 'string')) {
+      errors.push(name + '.policy.allowedWrites must be a list of \'<site> <path>\' entries')
+    } else {
+      allowedWrites.forEach((entry) => {
+        const [site, path] = entry.split(' ')
+        if (!profile.sites || !(site in profile.sites) || (path !== undefined && !path.startsWith('/'))) {
+          errors.push(name + '.policy.allowedWrites: "' + entry + '" must be \'<site> <path>\' with a site from ' + name + '.sites')
+        }
+      })
+    }
+  }
+
+  if (profile.networkGuard && typeof profile.networkGuard === 'object') {
+    if (!GUARD_MODES.includes(profile.networkGuard.onUnmocked)) {
+      errors.push(name + '.networkGuard.onUnmocked must be one of ' + GUARD_MODES.join(', ') +
+        ' (got ' + JSON.stringify(profile.networkGuard.onUnmocked) + ')')
+    }
+    const allowedHosts = profile.networkGuard.allowedHosts
+    if (!Array.isArray(allowedHosts) || allowedHosts.some((entry) => typeof entry !== 'string')) {
+      errors.push(name + '.networkGuard.allowedHosts must be a list of host names')
+    }
+  }
+
+  if (profile.chaos && typeof profile.chaos === 'object') {
+    const { enabled, latency } = profile.chaos
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      errors.push(name + '.chaos.enabled must be true or false')
+    }
+    if (latency !== undefined && (!Array.isArray(latency) || latency.length !== 2 || latency[0] > latency[1])) {
+      errors.push(name + '.chaos.latency must be [min, max] in ms')
+    }
+    ;['errorRate', 'resetRate', 'corruptRate'].forEach((rate) => {
+      const value = profile.chaos[rate]
+      if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 1)) {
+        errors.push(name + '.chaos.' + rate + ' must be a number between 0 and 1')
+      }
+    })
+  }
+
+  if (profile.contracts && typeof profile.contracts === 'object') {
+    if (!GUARD_MODES.includes(profile.contracts.onViolation)) {
+      errors.push(name + '.contracts.onViolation must be one of ' + GUARD_MODES.join(', '))
+    }
+    Object.keys(profile.contracts.specs || {}).forEach((site) => {
+      if (!profile.sites || !(site in profile.sites)) {
+        errors.push(name + '.contracts.specs.' + site + ' is not a site in ' + name + '.sites')
+      }
+    })
+  }
+
+  if (profile.latency && typeof profile.latency === 'object') {
+    const { onBreach, defaultBudgetMs, budgets } = profile.latency
+    if (!GUARD_MODES.includes(onBreach)) {
+      errors.push(name + '.latency.onBreach must be one of ' + GUARD_MODES.join(', '))
+    }
+    if (typeof defaultBudgetMs !== 'number' || defaultBudgetMs <= 0) {
+      errors.push(name + '.latency.defaultBudgetMs must be a positive number of ms')
+    }
+    Object.entries(budgets || {}).forEach(([key, budget]) => {
+      const [site, method] = key.split(' ')
+      if (!profile.sites || !(site in profile.sites)) {
+        errors.push(name + '.latency.budgets["' + key + '"]: ' + site + ' is not a site in ' + name + '.sites')
+      }
+      if (method && !/^[A-Z]+$/.test(method)) {
+        errors.push(name + '.latency.budgets["' + key + '"]: method must be upper case, e.g. GET')
+      }
+      if (typeof budget !== 'number' || budget <= 0) {
+        errors.push(name + '.latency.budgets["' + key + '"] must be a positive number of ms')
+      }
+    })
+  }
+
+  if (profile.apiRetry && typeof profile.apiRetry === 'object') {
+    const { maxAttempts, statusCodes, methods, networkErrors, baseDelayMs, maxDelayMs, jitter } = profile.apiRetry
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > 10) {
+      errors.push(name + '.apiRetry.maxAttempts must be an integer from 1 to 10')
+    }
+    if (!Array.isArray(statusCodes) || !statusCodes.every((code) => Number.isInteger(code) && code >= 400 && code <= 599)) {
+      errors.push(name + '.apiRetry.statusCodes must be a list of 4xx/5xx status codes')
+    }
+    if (!Array.isArray(methods) || !methods.every((method) => /^[A-Z]+$/.test(method))) {
+      errors.push(name + '.apiRetry.methods must be a list of upper case methods, e.g. GET')
+    }
+    if (typeof networkErrors !== 'boolean') {
+      errors.push(name + '.apiRetry.networkErrors must be true or false')
+    }
+    if (typeof baseDelayMs !== 'number' || baseDelayMs <= 0) {
+      errors.push(name + '.apiRetry.baseDelayMs must be a positive number of ms')
+    }
+    if (typeof maxDelayMs !== 'number' || maxDelayMs < baseDelayMs) {
+      errors.push(name + '.apiRetry.maxDelayMs must be a number of ms, at least baseDelayMs')
+    }
+    if (typeof jitter !== 'number' || jitter < 0 || jitter > 1) {
+      errors.push(name + '.apiRetry.jitter must be a fraction from 0 to 1')
+    }
+  }
+
+  if (profile.name !== undefined && profile.name !== name) {
+    errors.push(name + '.name must match its profile key (got "' + profile.name + '")')
+  }
+
+  return errors
+}
+
+// Validate every profile so a broken one is caught whichever env is selected
+function validateEnvironments() {
+  let errors = []
+  Object.entries(environments).forEach(([name, profile]) => {
+    errors = errors.concat(validateProfile(name, profile))
+  })
+
+  // Every profile must declare the same flags, so a typo can't hide a test
+  const allFlags = new Set()
+  Object.values(environments).forEach((profile) => {
+    Object.keys(profile.featureFlags || {}).forEach((flag) => allFlags.add(flag))
+  })
+  Object.entries(environments).forEach(([name, profile]) => {
+    allFlags.forEach((flag) => {
+      if (!profile.featureFlags || !(flag in profile.featureFlags)) {
+        errors.push(name + '.featureFlags.' + flag + ' is declared in another profile but missing here')
+      }
+    })
+  })
+
+  if (errors.length > 0) {
+    throw new Error(
+      'Invalid environment configuration in envconfig.js:\n  - ' + errors.join('\n  - ')
+    )
   }
 }
 
 // Get configuration for current environment
-function getEnvConfig() {
-  const config = environments[currentEnv] || environments.qa
+function getEnvConfig(requested = currentEnv) {
+  validateEnvironments()
+  const config = environments[resolveEnvName(requested)]
   console.log('Environment: ' + config.name)
   return config
 }
@@ -72,6 +498,16 @@ function getEnvConfig() {
 // Export for use in cypress.config.js
 module.exports = {
   currentEnv,
+  defaultSites,
+  defaultContracts,
+  defaultLatencyBudgets,
+  defaultApiRetry,
+  profileDefaults,
   environments,
+  aliases,
+  profileSchema,
+  resolveEnvName,
+  validateProfile,
+  validateEnvironments,
   getEnvConfig
 }